@@ -0,0 +1,105 @@
+/**
+ * IAA Solutions - Offline Support
+ * Registers the service worker (sw.js) and asks it to send the contact and
+ * newsletter submissions it queued while offline. Shared by script.js and
+ * script__.js, so pages load this file before either of them.
+ */
+
+const OfflineSupport = (function() {
+    const SCRIPT_URL = '/sw.js';
+    
+    // Release the worker's caches belong to, unless init() is given one;
+    // script__.js passes CONFIG.version, which PageCache also uses
+    const RELEASE_VERSION = '1.2.0';
+    
+    let registration = null;
+    let isInitialized = false;
+    let submissionsSentCallback = null;
+    
+    // The worker reads its cache version and the endpoints to queue from its URL
+    function getScriptUrl(version, queueEndpoints) {
+        const params = new URLSearchParams({ v: version });
+        
+        queueEndpoints.forEach(endpoint => {
+            const url = new URL(endpoint, window.location.href);
+            params.append('queue', url.origin + url.pathname);
+        });
+        
+        return `${SCRIPT_URL}?${params}`;
+    }
+    
+    // Background Sync does this by itself where supported
+    function flushSubmissions() {
+        const worker = navigator.serviceWorker && navigator.serviceWorker.controller;
+        if (worker) worker.postMessage({ type: 'flushSubmissions' });
+    }
+    
+    function handleMessage(event) {
+        if (!event.data || event.data.type !== 'submissionsSent') return;
+        
+        if (submissionsSentCallback) {
+            submissionsSentCallback(event.data.count);
+        }
+        
+        if (window.dataLayer) {
+            window.dataLayer.push({
+                event: 'offlineSubmissionsSent',
+                count: event.data.count
+            });
+        }
+    }
+    
+    function register(scriptUrl) {
+        return navigator.serviceWorker.register(scriptUrl, { scope: '/' })
+            .then(reg => {
+                registration = reg;
+                flushSubmissions();
+                return reg;
+            })
+            .catch(error => {
+                console.warn('Service worker registration failed:', error.message);
+                return null;
+            });
+    }
+    
+    /**
+     * Register the worker once per page. `version` names its caches, so a
+     * bump installs a fresh worker with fresh caches. `queueEndpoints` are
+     * the form endpoints it holds POSTs for while offline, and
+     * `onSubmissionsSent(count)` hears when those went out.
+     */
+    function init({ version = RELEASE_VERSION, queueEndpoints = [], onSubmissionsSent = null } = {}) {
+        // initWebsite re-runs after content swaps; listeners and registration happen once
+        if (isInitialized) return;
+        isInitialized = true;
+        
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+        
+        // Cached scripts get in the way while developing
+        const hostname = window.location.hostname;
+        if (hostname.includes('localhost') || hostname.includes('127.0.0.1')) return;
+        
+        submissionsSentCallback = onSubmissionsSent;
+        
+        navigator.serviceWorker.addEventListener('message', handleMessage);
+        window.addEventListener('online', flushSubmissions);
+        
+        // Don't compete with the page's own requests during startup
+        const scriptUrl = getScriptUrl(version, queueEndpoints);
+        
+        if (document.readyState === 'complete') {
+            register(scriptUrl);
+        } else {
+            window.addEventListener('load', () => register(scriptUrl), { once: true });
+        }
+    }
+    
+    return {
+        init,
+        flushSubmissions,
+        
+        getRegistration: function() {
+            return registration;
+        }
+    };
+})();
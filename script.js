@@ -134,6 +134,8 @@ const STRINGS = {
         formConsent: "You must agree to the terms",
         formSuccess: "Thank you! Your message has been sent.",
         formError: "Sorry, there was a problem sending your message.",
+        formQueued: "You're offline. Your message will be sent automatically once you're back online.",
+        formQueueSent: "Your message has been sent now that you're back online.",
         newsletterSuccess: "Thank you for subscribing!",
         newsletterError: "Subscription failed. Please try again."
     }
@@ -843,6 +845,32 @@ const Forms = (function() {
         return isValid;
     }
     
+    /**
+     * POST a form and resolve with its JSON reply, or null for other
+     * content. Offline, the service worker answers 202 `{ queued: true }`.
+     */
+    async function submitForm(endpoint, formData) {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            body: formData,
+            headers: {
+                'Accept': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
+            }
+        });
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const contentType = response.headers.get('Content-Type') || '';
+        return contentType.includes('application/json') ? response.json() : null;
+    }
+    
+    function isQueued(result) {
+        return !!result && typeof result === 'object' && result.queued === true;
+    }
+    
     function initContactForm() {
         const form = document.getElementById('contact-form');
         if (!form) return;
@@ -869,7 +897,6 @@ const Forms = (function() {
             
             // Get form data
             const formData = new FormData(form);
-            const formDataObj = Object.fromEntries(formData.entries());
             
             // Get UI elements
             const submitBtn = form.querySelector('button[type="submit"]');
@@ -885,13 +912,11 @@ const Forms = (function() {
             if (btnIconLoading) btnIconLoading.classList.remove('hidden');
             
             try {
-                // In a real implementation, this would send data to a server
-                // Simulate API call with a timeout
-                await new Promise(resolve => setTimeout(resolve, 1500));
+                const result = await submitForm(CONFIG.contactFormEndpoint, formData);
                 
                 // Success response
                 if (responseEl) {
-                    responseEl.textContent = strings.formSuccess;
+                    responseEl.textContent = isQueued(result) ? strings.formQueued : strings.formSuccess;
                     responseEl.classList.remove('hidden', 'bg-red-100', 'text-red-700');
                     responseEl.classList.add('bg-green-100', 'text-green-700');
                 }
@@ -951,12 +976,11 @@ const Forms = (function() {
             }
             
             try {
-                // Simulate API call
-                await new Promise(resolve => setTimeout(resolve, 1000));
+                const result = await submitForm(CONFIG.newsletterEndpoint, new FormData(form));
                 
                 // Success
                 if (responseEl) {
-                    responseEl.textContent = strings.newsletterSuccess;
+                    responseEl.textContent = isQueued(result) ? strings.formQueued : strings.newsletterSuccess;
                     responseEl.style.color = 'var(--success-text)';
                 }
                 
@@ -1000,6 +1024,16 @@ const Forms = (function() {
             initContactForm();
             initNewsletterForm();
             initPaymentButtons();
+        },
+        
+        // Tell the visitor that submissions queued offline have gone out
+        showQueuedSent: function() {
+            const responseEl = document.getElementById('form-response');
+            if (!responseEl) return;
+            
+            responseEl.textContent = strings.formQueueSent;
+            responseEl.classList.remove('hidden', 'bg-red-100', 'text-red-700');
+            responseEl.classList.add('bg-green-100', 'text-green-700');
         }
     };
 })();
@@ -1473,6 +1507,12 @@ function initWebsite() {
     Animations.init();
     Utils.init();
     
+    // Service worker (offline-support.js) for offline use and queued form submissions
+    OfflineSupport.init({
+        queueEndpoints: [CONFIG.contactFormEndpoint, CONFIG.newsletterEndpoint],
+        onSubmissionsSent: Forms.showQueuedSent
+    });
+    
     console.log('IAA Solutions website initialized successfully');
 }
 
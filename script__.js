@@ -382,9 +382,25 @@ const CookieUtil = (function() {
 })();
 
 /**
- * Enhanced LocalStorage with encryption, expiration, and fallbacks
+ * Namespaced storage with encryption, expiration, quotas and fallbacks.
+ * Namespaces live in localStorage (memory when unavailable) or IndexedDB;
+ * each can carry a byte quota enforced by least-recently-used eviction.
+ * Sensitive values go through the async getEncrypted()/setEncrypted()
+ * pair (AES-GCM), also available as `secure`. Values written by the old
+ * XOR `encrypt` option stay readable through get() until getEncrypted()
+ * moves them across.
  */
 const StorageUtil = (function() {
+    const KEY_PREFIX = 'iaa';
+    const INDEX_KEY = '__index__';
+    const DB_NAME = 'iaa_storage';
+    const DB_STORE = 'entries';
+    const SWEEP_INTERVAL = 5 * 60 * 1000; // 5 minutes
+    const ACCESS_RESOLUTION = 60 * 1000; // LRU access times are only this precise
+    const SECURE_NAMESPACE = 'secure';
+    const KEYS_NAMESPACE = 'keys';
+    const SECURE_KEY_ID = 'aes-gcm';
+    
     // Determine storage availability
     const hasLocalStorage = (function() {
         try {
@@ -397,27 +413,36 @@ const StorageUtil = (function() {
         }
     })();
     
+    const hasIndexedDB = typeof indexedDB !== 'undefined';
+    const hasWebCrypto = typeof crypto !== 'undefined' && !!crypto.subtle;
+    
     // Memory fallback if localStorage is unavailable
     const memoryStorage = new Map();
     
-    // Simple encryption for sensitive data (not for high security needs)
-    function encrypt(data, key = 'iaa_solutions') {
-        if (!data) return data;
-        try {
-            const jsonStr = JSON.stringify(data);
-            let result = '';
-            for (let i = 0; i < jsonStr.length; i++) {
-                result += String.fromCharCode(jsonStr.charCodeAt(i) ^ key.charCodeAt(i % key.length));
-            }
-            return btoa(result);
-        } catch (e) {
-            console.error('Encryption error:', e);
-            return data;
-        }
-    }
+    // Raw string access to localStorage or the memory fallback
+    const rawStorage = {
+        getItem: key => hasLocalStorage
+            ? localStorage.getItem(key)
+            : (memoryStorage.has(key) ? memoryStorage.get(key) : null),
+        setItem: (key, value) => hasLocalStorage
+            ? localStorage.setItem(key, value)
+            : memoryStorage.set(key, value),
+        removeItem: key => hasLocalStorage
+            ? localStorage.removeItem(key)
+            : memoryStorage.delete(key),
+        keys: () => hasLocalStorage
+            ? Object.keys(localStorage)
+            : Array.from(memoryStorage.keys())
+    };
+    
+    // Open namespaces by name
+    const namespaces = new Map();
+    let dbPromise = null;
+    let secureKeyPromise = null;
     
-    // Decrypt data
-    function decrypt(data, key = 'iaa_solutions') {
+    // Decode values written by the old XOR `encrypt` option; only used to
+    // migrate them into secure storage
+    function decodeLegacy(data, key = 'iaa_solutions') {
         if (!data) return data;
         try {
             const bytes = atob(data);
@@ -432,266 +457,1326 @@ const StorageUtil = (function() {
         }
     }
     
-    return {
-        get: function(key, defaultValue = null) {
-            try {
-                let item;
-                
-                if (hasLocalStorage) {
-                    item = localStorage.getItem(key);
-                } else {
-                    item = memoryStorage.get(key);
+    // Find a legacy XOR-encoded envelope for a default-namespace key
+    function readLegacyEncrypted(key) {
+        const item = rawStorage.getItem(`${KEY_PREFIX}:default:${key}`) || rawStorage.getItem(key);
+        
+        try {
+            const data = JSON.parse(item);
+            return data && data.encrypted === true ? data : null;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    function removeLegacyEncrypted(key) {
+        rawStorage.removeItem(key);
+        namespace('default').remove(key);
+    }
+    
+    // Move a legacy XOR value into secure storage; resolves with the value
+    function migrateLegacy(key, data, removeLegacy) {
+        const value = decodeLegacy(data.value);
+        const options = data.expires ? { expires: new Date(data.expires) } : {};
+        
+        return secure.set(key, value, options)
+            .then(stored => {
+                if (stored) removeLegacy();
+                return value;
+            })
+            .catch(e => {
+                console.error('Error migrating encrypted item to secure storage:', e);
+                return value;
+            });
+    }
+    
+    // Store a new key unless another tab got there first, and resolve with
+    // whichever key is stored. The get and the add share one readwrite
+    // transaction, and IndexedDB never runs two of those at once.
+    function storeSecureKey(key) {
+        let stored = key;
+        
+        return runTransaction('readwrite', store => {
+            const request = store.get([KEYS_NAMESPACE, SECURE_KEY_ID]);
+            
+            request.onsuccess = () => {
+                if (request.result) {
+                    stored = request.result.value;
+                    return;
                 }
                 
-                if (!item) return defaultValue;
-                
-                const data = JSON.parse(item);
+                store.add({
+                    namespace: KEYS_NAMESPACE,
+                    key: SECURE_KEY_ID,
+                    value: key,
+                    size: estimateSize(key),
+                    accessed: Date.now(),
+                    expires: null
+                });
+            };
+        })
+            .then(() => stored)
+            .catch(e => {
+                // add() never overwrites: if a key appeared anyway, use that one
+                if (!e || e.name !== 'ConstraintError') throw e;
+                return namespace(KEYS_NAMESPACE, { backend: 'indexeddb' }).get(SECURE_KEY_ID);
+            });
+    }
+    
+    function bytesToBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+    
+    function base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+    
+    /**
+     * Load the per-browser AES-GCM key, creating it on first use. The key
+     * is non-extractable and kept in IndexedDB, so script can use it but
+     * never read its bytes.
+     */
+    function getSecureKey() {
+        if (!secureKeyPromise) {
+            const keyStore = hasIndexedDB ? namespace(KEYS_NAMESPACE, { backend: 'indexeddb' }) : null;
+            
+            secureKeyPromise = (keyStore ? keyStore.get(SECURE_KEY_ID) : Promise.resolve(null))
+                .then(existing => {
+                    if (existing) return existing;
+                    
+                    return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+                        .then(key => {
+                            if (!keyStore) {
+                                console.warn('IndexedDB unavailable; secure storage only lasts for this page');
+                                return key;
+                            }
+                            
+                            // Tabs racing to create a key must agree on one
+                            return storeSecureKey(key);
+                        });
+                });
+            
+            // Let a later call retry after a failure
+            secureKeyPromise.catch(() => { secureKeyPromise = null; });
+        }
+        
+        return secureKeyPromise;
+    }
+    
+    function encryptValue(value) {
+        return getSecureKey().then(key => {
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const plaintext = new TextEncoder().encode(JSON.stringify(value));
+            
+            return crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext)
+                .then(ciphertext => ({
+                    iv: bytesToBase64(iv),
+                    data: bytesToBase64(new Uint8Array(ciphertext))
+                }));
+        });
+    }
+    
+    function decryptValue(payload, storageKey) {
+        return getSecureKey()
+            .then(key => crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: base64ToBytes(payload.iv) },
+                key,
+                base64ToBytes(payload.data)
+            ))
+            .then(plaintext => JSON.parse(new TextDecoder().decode(plaintext)))
+            .catch(e => {
+                // AES-GCM authenticates, so a wrong key or edited data fails here
+                const error = new Error(`Secure item "${storageKey}" could not be decrypted; it was modified or written with a different key`);
+                error.name = 'DecryptionError';
+                error.key = storageKey;
+                error.cause = e;
+                throw error;
+            });
+    }
+    
+    function requireWebCrypto() {
+        return hasWebCrypto
+            ? Promise.resolve()
+            : Promise.reject(new Error('Secure storage requires Web Crypto (a secure HTTPS context)'));
+    }
+    
+    /**
+     * Async storage for sensitive values, encrypted with AES-GCM.
+     * get() rejects with a DecryptionError when authentication fails.
+     */
+    const secure = {
+        get: function(key, defaultValue = null) {
+            return requireWebCrypto().then(() => {
+                const payload = namespace(SECURE_NAMESPACE).get(key);
                 
-                // Check if item is encrypted
-                if (data.encrypted) {
-                    data.value = decrypt(data.value);
-                }
+                if (payload) return decryptValue(payload, key);
                 
-                // Check if item is expired
-                if (data.expires && new Date(data.expires) < new Date()) {
-                    this.remove(key);
-                    return defaultValue;
+                // Not migrated yet: the first read moves it across
+                const legacy = readLegacyEncrypted(key);
+                if (legacy) {
+                    return migrateLegacy(key, legacy, () => removeLegacyEncrypted(key));
                 }
                 
-                return data.value;
-            } catch (e) {
-                console.error('Error getting item from storage:', e);
                 return defaultValue;
-            }
+            });
         },
         
         set: function(key, value, options = {}) {
-            try {
-                const { expires, encrypt: shouldEncrypt = false } = options;
-                
-                let data = {
-                    value: shouldEncrypt ? encrypt(value) : value,
-                    encrypted: shouldEncrypt,
-                    timestamp: new Date().toISOString()
-                };
-                
-                if (expires) {
-                    if (typeof expires === 'number') {
-                        // If number, treat as days
-                        const date = new Date();
-                        date.setTime(date.getTime() + (expires * 24 * 60 * 60 * 1000));
-                        data.expires = date.toISOString();
-                    } else if (expires instanceof Date) {
-                        data.expires = expires.toISOString();
-                    }
-                }
-                
-                const serialized = JSON.stringify(data);
-                
-                if (hasLocalStorage) {
-                    localStorage.setItem(key, serialized);
-                } else {
-                    memoryStorage.set(key, serialized);
-                }
-                
-                return true;
-            } catch (e) {
-                console.error('Error setting item in storage:', e);
-                return false;
-            }
+            return requireWebCrypto()
+                .then(() => encryptValue(value))
+                .then(payload => namespace(SECURE_NAMESPACE).set(key, payload, { expires: options.expires }));
         },
         
         remove: function(key) {
-            try {
-                if (hasLocalStorage) {
-                    localStorage.removeItem(key);
-                } else {
-                    memoryStorage.delete(key);
-                }
-                return true;
-            } catch (e) {
-                console.error('Error removing item from storage:', e);
-                return false;
-            }
+            // A legacy copy would otherwise come back on the next get()
+            if (readLegacyEncrypted(key)) removeLegacyEncrypted(key);
+            
+            return Promise.resolve(namespace(SECURE_NAMESPACE).remove(key));
         },
         
         clear: function() {
-            try {
-                if (hasLocalStorage) {
-                    localStorage.clear();
-                } else {
-                    memoryStorage.clear();
-                }
-                return true;
-            } catch (e) {
-                console.error('Error clearing storage:', e);
-                return false;
-            }
-        }
-    };
-})();
-
-/**
- * =========================================================
- * CONFIGURATION
- * =========================================================
- */
-
-/**
- * Site configuration with environment-specific overrides
- */
-const CONFIG = (function() {
-    // Base configuration
-    const baseConfig = {
-        // Core settings
-        environment: 'production',
-        version: '1.2.0',
-        
-        // UI Configuration
-        headerScrollThreshold: 50,
-        scrollSpyOffset: 100,
-        backToTopThreshold: 300,
-        smoothScrollDuration: 800,
-        sectionScrollOffset: 100,
-        
-        // Animation Settings
-        aosDuration: 800,
-        counterDuration: 2.5,
-        testimonialAutoplayDelay: 5000,
-        
-        // Cookie Settings
-        cookieExpiryDays: 365,
-        cookieDomain: window.location.hostname.replace(/^www\./i, ''),
-        
-        // API Endpoints
-        apiBaseUrl: '/api',
-        contactFormEndpoint: '/api/contact',
-        newsletterEndpoint: '/api/subscribe',
-        
-        // Performance optimization
-        lazyLoadImages: true,
-        lazyLoadThreshold: '200px',
-        preloadFonts: true,
-        
-        // Language Settings
-        defaultLanguage: 'en',
-        fallbackLanguage: 'en',
-        supportedLanguages: [
-            { code: 'en', name: 'English', flag: '🇬🇧', dir: 'ltr' },
-            { code: 'es', name: 'Español', flag: '🇪🇸', dir: 'ltr' },
-            { code: 'it', name: 'Italiano', flag: '🇮🇹', dir: 'ltr' },
-            { code: 'fr', name: 'Français', flag: '🇫🇷', dir: 'ltr' },
-            { code: 'de', name: 'Deutsch', flag: '🇩🇪', dir: 'ltr' },
-            { code: 'pt', name: 'Português', flag: '🇵🇹', dir: 'ltr' }
-        ],
-        
-        // SEO settings
-        generateStructuredData: true,
-        breadcrumbsEnabled: true,
-        
-        // Accessibility
-        prefersReducedMotionEnabled: true,
-        highContrastSupport: true,
-        
-        // Feature toggles
-        features: {
-            darkMode: true,
-            multilingual: true,
-            contactForm: true,
-            newsletter: true,
-            testimonials: true,
-            animations: true,
-            cookieConsent: true,
-            portfolio: true,
-            pricing: true,
-            proposalView: true
+            return Promise.resolve(namespace(SECURE_NAMESPACE).clear());
         }
     };
     
-    // Environment-specific overrides
-    const envOverrides = {
-        development: {
-            environment: 'development',
-            apiBaseUrl: 'http://localhost:3000/api',
-            contactFormEndpoint: 'http://localhost:3000/api/contact',
-            newsletterEndpoint: 'http://localhost:3000/api/subscribe'
-        },
-        staging: {
-            environment: 'staging',
-            apiBaseUrl: 'https://staging.iaasolutions.com/api'
-        },
-        production: {
-            environment: 'production'
+    // Convert an expires option (days or Date) to an ISO string
+    function resolveExpiry(expires) {
+        if (typeof expires === 'number') {
+            // If number, treat as days
+            const date = new Date();
+            date.setTime(date.getTime() + (expires * 24 * 60 * 60 * 1000));
+            return date.toISOString();
         }
-    };
-    
-    // Determine current environment
-    let currentEnv = 'production';
-    const hostname = window.location.hostname;
-    
-    if (hostname.includes('localhost') || hostname.includes('127.0.0.1')) {
-        currentEnv = 'development';
-    } else if (hostname.includes('staging') || hostname.includes('test')) {
-        currentEnv = 'staging';
+        
+        if (expires instanceof Date) {
+            return expires.toISOString();
+        }
+        
+        return null;
     }
     
-    // Merge base config with environment overrides
-    const mergedConfig = { 
-        ...baseConfig, 
-        ...envOverrides[currentEnv]
-    };
+    function isExpired(expires) {
+        return !!expires && new Date(expires) < new Date();
+    }
     
-    // Override with any config from data attributes
-    const configScript = document.querySelector('script[data-config]');
-    if (configScript) {
+    // Approximate byte size of a value (UTF-16 code units)
+    function estimateSize(value) {
         try {
-            const dataConfig = JSON.parse(configScript.getAttribute('data-config'));
-            Object.assign(mergedConfig, dataConfig);
+            const serialized = typeof value === 'string' ? value : JSON.stringify(value);
+            return (serialized ? serialized.length : 0) * 2;
         } catch (e) {
-            console.error('Error parsing data-config attribute:', e);
+            return 0;
         }
     }
     
-    return Object.freeze(mergedConfig);
-})();
-
-/**
- * Text strings for localization with dynamic loading
- */
-const I18n = (function() {
-    // Base strings for English as default
-    const defaultStrings = {
-    en: {
-        darkMode: "Dark Mode",
-        lightMode: "Light Mode",
-        formRequired: "This field is required",
-        formEmail: "Please enter a valid email address",
-        formConsent: "You must agree to the terms",
-        formSuccess: "Thank you! Your message has been sent.",
-        formError: "Sorry, there was a problem sending your message.",
-        newsletterSuccess: "Thank you for subscribing!",
-        newsletterError: "Subscription failed. Please try again.",
-        loading: "Loading...",
-        backToTop: "Back to top",
-        menuOpen: "Open menu",
-        menuClose: "Close menu",
-        cookieConsentText: "This website uses cookies to ensure you get the best experience.",
-        cookieAccept: "Accept",
-        cookieDecline: "Decline",
-        cookieSettings: "Cookie settings",
-        languageSwitch: "Change language",
-        moreInfo: "More information",
-        readMore: "Read more",
-        sendMessage: "Send message",
-        subscribe: "Subscribe",
-        errorTitle: "An error occurred",
-        tryAgain: "Try again",
-        close: "Close",
-        viewAll: "View all",
-        prev: "Previous",
-        next: "Next",
-        paginationLabel: "Pagination",
-		languageLoadError: "Could not load {language} content. Please try again."
+    // Keys to evict, oldest access first, so that `needed` more bytes fit
+    function selectEvictions(entries, needed, quota) {
+        let used = entries.reduce((total, entry) => total + entry.size, 0);
+        const victims = [];
+        
+        entries
+            .slice()
+            .sort((a, b) => a.accessed - b.accessed)
+            .forEach(entry => {
+                if (used + needed > quota) {
+                    victims.push(entry.key);
+                    used -= entry.size;
+                }
+            });
+        
+        return victims;
+    }
+    
+    /**
+     * Synchronous namespace backed by localStorage (or memory)
+     */
+    function createLocalNamespace(name, quota) {
+        const prefix = `${KEY_PREFIX}:${name}:`;
+        const indexKey = prefix + INDEX_KEY;
+        
+        // Per-key { size, accessed, expires }, kept so quotas and sweeps
+        // don't have to parse every stored value
+        function readIndex() {
+            try {
+                const index = JSON.parse(rawStorage.getItem(indexKey));
+                if (index && typeof index === 'object') return index;
+            } catch (e) {
+                // Fall through and rebuild
+            }
+            
+            return rebuildIndex();
+        }
+        
+        function rebuildIndex() {
+            const index = {};
+            
+            rawStorage.keys().forEach(storageKey => {
+                if (!storageKey.startsWith(prefix) || storageKey === indexKey) return;
+                
+                const item = rawStorage.getItem(storageKey);
+                try {
+                    const data = JSON.parse(item);
+                    index[storageKey.slice(prefix.length)] = {
+                        size: estimateSize(item),
+                        accessed: Date.parse(data.timestamp) || 0,
+                        expires: data.expires || null
+                    };
+                } catch (e) {
+                    // Not one of ours
+                }
+            });
+            
+            writeIndex(index);
+            return index;
+        }
+        
+        function writeIndex(index) {
+            try {
+                rawStorage.setItem(indexKey, JSON.stringify(index));
+            } catch (e) {
+                console.error('Error writing storage index:', e);
+            }
+        }
+        
+        function toEntries(index, exceptKey) {
+            return Object.keys(index)
+                .filter(key => key !== exceptKey)
+                .map(key => ({ key, ...index[key] }));
+        }
+        
+        // Entries written before namespaces existed used the bare key
+        function migrateLegacyItem(key) {
+            const item = rawStorage.getItem(key);
+            if (!item) return null;
+            
+            try {
+                const data = JSON.parse(item);
+                if (!data || typeof data !== 'object' || !('timestamp' in data)) return null;
+                
+                rawStorage.removeItem(key);
+                rawStorage.setItem(prefix + key, item);
+                
+                const index = readIndex();
+                index[key] = { size: estimateSize(item), accessed: Date.now(), expires: data.expires || null };
+                writeIndex(index);
+                
+                return item;
+            } catch (e) {
+                return null;
+            }
+        }
+        
+        return {
+            name,
+            backend: 'local',
+            
+            get: function(key, defaultValue = null) {
+                try {
+                    let item = rawStorage.getItem(prefix + key);
+                    
+                    if (!item && name === 'default') {
+                        item = migrateLegacyItem(key);
+                    }
+                    
+                    if (!item) return defaultValue;
+                    
+                    const data = JSON.parse(item);
+                    
+                    // Check if item is expired
+                    if (isExpired(data.expires)) {
+                        this.remove(key);
+                        return defaultValue;
+                    }
+                    
+                    // Record the access for LRU eviction, without rewriting
+                    // the index on every read
+                    const index = readIndex();
+                    const now = Date.now();
+                    if (index[key] && now - index[key].accessed >= ACCESS_RESOLUTION) {
+                        index[key].accessed = now;
+                        writeIndex(index);
+                    }
+                    
+                    // Legacy XOR values stay readable here until getEncrypted()
+                    // moves them to secure storage
+                    if (data.encrypted) {
+                        return decodeLegacy(data.value);
+                    }
+                    
+                    return data.value;
+                } catch (e) {
+                    console.error('Error getting item from storage:', e);
+                    return defaultValue;
+                }
+            },
+            
+            set: function(key, value, options = {}) {
+                const { expires } = options;
+                
+                // Encrypted values are async and live elsewhere, so a sync
+                // get() could never find them
+                if (options.encrypt) {
+                    console.error('StorageUtil: set() no longer encrypts; use StorageUtil.setEncrypted()');
+                    return false;
+                }
+                
+                try {
+                    const data = {
+                        value,
+                        timestamp: new Date().toISOString()
+                    };
+                    
+                    const expiry = resolveExpiry(expires);
+                    if (expiry) data.expires = expiry;
+                    
+                    const serialized = JSON.stringify(data);
+                    const size = estimateSize(serialized);
+                    const index = readIndex();
+                    
+                    if (quota) {
+                        if (size > quota) {
+                            console.warn(`Storage item "${key}" exceeds the ${name} namespace quota`);
+                            return false;
+                        }
+                        
+                        selectEvictions(toEntries(index, key), size, quota).forEach(victim => {
+                            rawStorage.removeItem(prefix + victim);
+                            delete index[victim];
+                        });
+                    }
+                    
+                    rawStorage.setItem(prefix + key, serialized);
+                    index[key] = { size, accessed: Date.now(), expires: data.expires || null };
+                    writeIndex(index);
+                    
+                    return true;
+                } catch (e) {
+                    console.error('Error setting item in storage:', e);
+                    return false;
+                }
+            },
+            
+            remove: function(key) {
+                try {
+                    rawStorage.removeItem(prefix + key);
+                    
+                    const index = readIndex();
+                    delete index[key];
+                    writeIndex(index);
+                    
+                    return true;
+                } catch (e) {
+                    console.error('Error removing item from storage:', e);
+                    return false;
+                }
+            },
+            
+            // Only removes this namespace's keys, never the whole origin
+            clear: function() {
+                try {
+                    rawStorage.keys()
+                        .filter(storageKey => storageKey.startsWith(prefix))
+                        .forEach(storageKey => rawStorage.removeItem(storageKey));
+                    return true;
+                } catch (e) {
+                    console.error('Error clearing storage:', e);
+                    return false;
+                }
+            },
+            
+            keys: function() {
+                return Object.keys(readIndex());
+            },
+            
+            usage: function() {
+                return toEntries(readIndex()).reduce((total, entry) => total + entry.size, 0);
+            },
+            
+            // Remove expired entries; returns how many were removed
+            sweep: function() {
+                const index = readIndex();
+                const expired = Object.keys(index).filter(key => isExpired(index[key].expires));
+                
+                expired.forEach(key => {
+                    rawStorage.removeItem(prefix + key);
+                    delete index[key];
+                });
+                
+                if (expired.length) writeIndex(index);
+                return expired.length;
+            }
+        };
+    }
+    
+    // Open (once) the shared IndexedDB database
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, 1);
+                
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(DB_STORE, { keyPath: ['namespace', 'key'] });
+                    store.createIndex('namespace', 'namespace');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        
+        return dbPromise;
+    }
+    
+    // Run a transaction; results are collected by the callback's request handlers
+    function runTransaction(mode, callback) {
+        return openDatabase().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(DB_STORE, mode);
+            
+            callback(transaction.objectStore(DB_STORE));
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+    
+    /**
+     * Asynchronous namespace backed by IndexedDB. Values are stored as
+     * structured clones, so they needn't be JSON-serialisable strings.
+     */
+    function createIndexedDBNamespace(name, quota) {
+        // Same promise-returning surface over localStorage when IndexedDB is missing
+        if (!hasIndexedDB) {
+            const local = createLocalNamespace(name, quota);
+            const wrapped = { name, backend: 'local' };
+            
+            ['get', 'set', 'remove', 'clear', 'keys', 'usage', 'sweep'].forEach(method => {
+                wrapped[method] = (...args) => Promise.resolve(local[method](...args));
+            });
+            
+            return wrapped;
+        }
+        
+        // Visit every record in this namespace
+        function eachRecord(store, visit) {
+            const request = store.index('namespace').openCursor(IDBKeyRange.only(name));
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                
+                visit(cursor.value, cursor);
+                cursor.continue();
+            };
+        }
+        
+        return {
+            name,
+            backend: 'indexeddb',
+            
+            get: function(key, defaultValue = null) {
+                let value = defaultValue;
+                
+                return runTransaction('readwrite', store => {
+                    const request = store.get([name, key]);
+                    
+                    request.onsuccess = () => {
+                        const record = request.result;
+                        if (!record) return;
+                        
+                        if (isExpired(record.expires)) {
+                            store.delete([name, key]);
+                            return;
+                        }
+                        
+                        // Record the access for LRU eviction
+                        record.accessed = Date.now();
+                        store.put(record);
+                        value = record.value;
+                    };
+                })
+                    .then(() => value)
+                    .catch(e => {
+                        console.error('Error getting item from storage:', e);
+                        return defaultValue;
+                    });
+            },
+            
+            set: function(key, value, options = {}) {
+                const size = estimateSize(value);
+                const record = {
+                    namespace: name,
+                    key,
+                    value,
+                    size,
+                    accessed: Date.now(),
+                    expires: resolveExpiry(options.expires)
+                };
+                
+                if (quota && size > quota) {
+                    console.warn(`Storage item "${key}" exceeds the ${name} namespace quota`);
+                    return Promise.resolve(false);
+                }
+                
+                return runTransaction('readwrite', store => {
+                    if (!quota) {
+                        store.put(record);
+                        return;
+                    }
+                    
+                    // Gather sizes first, then evict and write in the same transaction
+                    const entries = [];
+                    const request = store.index('namespace').getAll(IDBKeyRange.only(name));
+                    
+                    request.onsuccess = () => {
+                        request.result
+                            .filter(existing => existing.key !== key)
+                            .forEach(existing => entries.push(existing));
+                        
+                        selectEvictions(entries, size, quota).forEach(victim => store.delete([name, victim]));
+                        store.put(record);
+                    };
+                })
+                    .then(() => true)
+                    .catch(e => {
+                        console.error('Error setting item in storage:', e);
+                        return false;
+                    });
+            },
+            
+            remove: function(key) {
+                return runTransaction('readwrite', store => {
+                    store.delete([name, key]);
+                })
+                    .then(() => true)
+                    .catch(e => {
+                        console.error('Error removing item from storage:', e);
+                        return false;
+                    });
+            },
+            
+            clear: function() {
+                return runTransaction('readwrite', store => {
+                    eachRecord(store, (record, cursor) => cursor.delete());
+                })
+                    .then(() => true)
+                    .catch(e => {
+                        console.error('Error clearing storage:', e);
+                        return false;
+                    });
+            },
+            
+            keys: function() {
+                const keys = [];
+                
+                return runTransaction('readonly', store => {
+                    eachRecord(store, record => keys.push(record.key));
+                })
+                    .then(() => keys)
+                    .catch(() => []);
+            },
+            
+            usage: function() {
+                let total = 0;
+                
+                return runTransaction('readonly', store => {
+                    eachRecord(store, record => { total += record.size; });
+                })
+                    .then(() => total)
+                    .catch(() => 0);
+            },
+            
+            // Remove expired entries; resolves with how many were removed
+            sweep: function() {
+                let removed = 0;
+                
+                return runTransaction('readwrite', store => {
+                    eachRecord(store, (record, cursor) => {
+                        if (isExpired(record.expires)) {
+                            cursor.delete();
+                            removed++;
+                        }
+                    });
+                })
+                    .then(() => removed)
+                    .catch(() => 0);
+            }
+        };
+    }
+    
+    /**
+     * Get (creating on first use) a named namespace.
+     * Options: backend 'local' (sync) or 'indexeddb' (async), quota in bytes.
+     */
+    function namespace(name, options = {}) {
+        if (namespaces.has(name)) return namespaces.get(name);
+        
+        if (!name || name.includes(':')) {
+            throw new Error(`Invalid storage namespace "${name}"`);
+        }
+        
+        const { backend = 'local', quota = 0 } = options;
+        const store = backend === 'indexeddb'
+            ? createIndexedDBNamespace(name, quota)
+            : createLocalNamespace(name, quota);
+        
+        namespaces.set(name, store);
+        return store;
+    }
+    
+    // Remove expired entries from every open namespace
+    function sweep() {
+        return Promise.all(Array.from(namespaces.values()).map(store => store.sweep()))
+            .then(counts => counts.reduce((total, count) => total + count, 0));
+    }
+    
+    let sweepTimer = null;
+    
+    // Sweep in the background, during idle time where supported
+    function scheduleSweep() {
+        if (sweepTimer) return;
+        
+        const run = () => {
+            if ('requestIdleCallback' in window) {
+                requestIdleCallback(() => sweep(), { timeout: 10000 });
+            } else {
+                sweep();
+            }
+        };
+        
+        run();
+        sweepTimer = setInterval(run, SWEEP_INTERVAL);
+    }
+    
+    function stopSweep() {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+    
+    const defaultNamespace = namespace('default');
+    scheduleSweep();
+    
+    return {
+        get: function(key, defaultValue = null) {
+            return defaultNamespace.get(key, defaultValue);
+        },
+        
+        set: function(key, value, options = {}) {
+            return defaultNamespace.set(key, value, options);
+        },
+        
+        remove: function(key) {
+            return defaultNamespace.remove(key);
+        },
+        
+        clear: function() {
+            return defaultNamespace.clear();
+        },
+        
+        // Encrypted values are read and written asynchronously
+        getEncrypted: function(key, defaultValue = null) {
+            return secure.get(key, defaultValue);
+        },
+        
+        setEncrypted: function(key, value, options = {}) {
+            return secure.set(key, value, options);
+        },
+        
+        removeEncrypted: function(key) {
+            return secure.remove(key);
+        },
+        
+        namespace,
+        sweep,
+        scheduleSweep,
+        stopSweep,
+        secure
+    };
+})();
+
+/**
+ * Cross-tab state sync over BroadcastChannel, falling back to `storage`
+ * events. Publishes made while a remote change is being applied are
+ * dropped, so tabs never echo each other's updates back and forth.
+ */
+const SyncBus = (function() {
+    const CHANNEL_NAME = 'iaa_sync';
+    const STORAGE_KEY = 'iaa:sync';
+    
+    // Identifies this tab so the storage fallback can skip its own writes
+    const senderId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    const subscribers = new Map();
+    let applyingTopic = null;
+    let channel = null;
+    
+    // Deliver an incoming message to local subscribers
+    function deliver(message) {
+        if (!message || message.sender === senderId) return;
+        
+        const handlers = subscribers.get(message.topic);
+        if (!handlers) return;
+        
+        applyingTopic = message.topic;
+        try {
+            handlers.forEach(handler => {
+                try {
+                    handler(message.value);
+                } catch (e) {
+                    console.error(`Error applying synced "${message.topic}":`, e);
+                }
+            });
+        } finally {
+            applyingTopic = null;
+        }
+    }
+    
+    function handleStorage(event) {
+        if (event.key !== STORAGE_KEY || !event.newValue) return;
+        
+        try {
+            deliver(JSON.parse(event.newValue));
+        } catch (e) {
+            console.error('Error reading sync message:', e);
+        }
+    }
+    
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = event => deliver(event.data);
+    } else {
+        window.addEventListener('storage', handleStorage);
+    }
+    
+    return {
+        publish: function(topic, value) {
+            // Don't rebroadcast a change that came from another tab
+            if (applyingTopic === topic) return false;
+            
+            const message = { topic, value, sender: senderId, time: Date.now() };
+            
+            try {
+                if (channel) {
+                    channel.postMessage(message);
+                } else {
+                    // The timestamp makes each write a change, so the event always fires
+                    localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+                }
+                return true;
+            } catch (e) {
+                console.error('Error publishing sync message:', e);
+                return false;
+            }
+        },
+        
+        // Returns a function that removes the handler
+        subscribe: function(topic, handler) {
+            if (!subscribers.has(topic)) {
+                subscribers.set(topic, new Set());
+            }
+            subscribers.get(topic).add(handler);
+            
+            return () => subscribers.get(topic).delete(handler);
+        },
+        
+        isApplyingRemote: function() {
+            return applyingTopic !== null;
+        }
+    };
+})();
+
+/**
+ * =========================================================
+ * CONFIGURATION
+ * =========================================================
+ */
+
+/**
+ * Site configuration with environment-specific overrides, validated
+ * against a schema and updatable at runtime
+ */
+const CONFIG = (function() {
+    // Base configuration
+    const baseConfig = {
+        // Core settings
+        environment: 'production',
+        version: '1.2.0',
+        
+        // UI Configuration
+        headerScrollThreshold: 50,
+        scrollSpyOffset: 100,
+        backToTopThreshold: 300,
+        smoothScrollDuration: 800,
+        sectionScrollOffset: 100,
+        
+        // Animation Settings
+        aosDuration: 800,
+        counterDuration: 2.5,
+        testimonialAutoplayDelay: 5000,
+        
+        // Cookie Settings
+        cookieExpiryDays: 365,
+        cookieDomain: window.location.hostname.replace(/^www\./i, ''),
+        
+        // API Endpoints
+        apiBaseUrl: '/api',
+        contactFormEndpoint: '/api/contact',
+        newsletterEndpoint: '/api/subscribe',
+        
+        // Performance optimization
+        lazyLoadImages: true,
+        lazyLoadThreshold: '200px',
+        preloadFonts: true,
+        
+        // Language Settings
+        defaultLanguage: 'en',
+        fallbackLanguage: 'en',
+        supportedLanguages: [
+            { code: 'en', name: 'English', flag: '🇬🇧', dir: 'ltr' },
+            { code: 'es', name: 'Español', flag: '🇪🇸', dir: 'ltr' },
+            { code: 'it', name: 'Italiano', flag: '🇮🇹', dir: 'ltr' },
+            { code: 'fr', name: 'Français', flag: '🇫🇷', dir: 'ltr' },
+            { code: 'de', name: 'Deutsch', flag: '🇩🇪', dir: 'ltr' },
+            { code: 'pt', name: 'Português', flag: '🇵🇹', dir: 'ltr' }
+        ],
+        
+        // SEO settings
+        generateStructuredData: true,
+        breadcrumbsEnabled: true,
+        
+        // Accessibility
+        prefersReducedMotionEnabled: true,
+        highContrastSupport: true,
+        
+        // Feature toggles
+        features: {
+            darkMode: true,
+            multilingual: true,
+            contactForm: true,
+            newsletter: true,
+            testimonials: true,
+            animations: true,
+            cookieConsent: true,
+            portfolio: true,
+            pricing: true,
+            proposalView: true,
+            offline: true
+        },
+        
+        // A/B experiments by name, e.g.
+        // { 'pricing-layout': { variants: { control: 50, cards: 50 }, rollout: 20, feature: 'pricing' } }
+        experiments: {}
+    };
+    
+    // Environment-specific overrides
+    const envOverrides = {
+        development: {
+            environment: 'development',
+            apiBaseUrl: 'http://localhost:3000/api',
+            contactFormEndpoint: 'http://localhost:3000/api/contact',
+            newsletterEndpoint: 'http://localhost:3000/api/subscribe'
+        },
+        staging: {
+            environment: 'staging',
+            apiBaseUrl: 'https://staging.iaasolutions.com/api'
+        },
+        production: {
+            environment: 'production'
+        }
+    };
+    
+    // Determine current environment
+    let currentEnv = 'production';
+    const hostname = window.location.hostname;
+    
+    if (hostname.includes('localhost') || hostname.includes('127.0.0.1')) {
+        currentEnv = 'development';
+    } else if (hostname.includes('staging') || hostname.includes('test')) {
+        currentEnv = 'staging';
+    }
+    
+    // Expected shape of the configuration. Strings name a primitive type;
+    // objects describe nested objects (fixed `properties` or free-form keys
+    // whose `values` share one rule), arrays and allowed values.
+    const schema = {
+        environment: { type: 'string', enum: ['development', 'staging', 'production'] },
+        version: 'string',
+        headerScrollThreshold: 'number',
+        scrollSpyOffset: 'number',
+        backToTopThreshold: 'number',
+        smoothScrollDuration: 'number',
+        sectionScrollOffset: 'number',
+        aosDuration: 'number',
+        counterDuration: 'number',
+        testimonialAutoplayDelay: 'number',
+        cookieExpiryDays: 'number',
+        cookieDomain: 'string',
+        apiBaseUrl: 'string',
+        contactFormEndpoint: 'string',
+        newsletterEndpoint: 'string',
+        lazyLoadImages: 'boolean',
+        lazyLoadThreshold: 'string',
+        preloadFonts: 'boolean',
+        defaultLanguage: 'string',
+        fallbackLanguage: 'string',
+        supportedLanguages: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    code: 'string',
+                    name: 'string',
+                    flag: 'string',
+                    dir: { type: 'string', enum: ['ltr', 'rtl'] }
+                }
+            }
+        },
+        generateStructuredData: 'boolean',
+        breadcrumbsEnabled: 'boolean',
+        prefersReducedMotionEnabled: 'boolean',
+        highContrastSupport: 'boolean',
+        features: {
+            type: 'object',
+            properties: {
+                darkMode: 'boolean',
+                multilingual: 'boolean',
+                contactForm: 'boolean',
+                newsletter: 'boolean',
+                testimonials: 'boolean',
+                animations: 'boolean',
+                cookieConsent: 'boolean',
+                portfolio: 'boolean',
+                pricing: 'boolean',
+                proposalView: 'boolean',
+                offline: 'boolean'
+            }
+        },
+        experiments: {
+            type: 'object',
+            values: {
+                type: 'object',
+                properties: {
+                    variants: { type: 'object', values: 'number' },
+                    rollout: 'number',
+                    enabled: 'boolean',
+                    feature: 'string'
+                }
+            }
+        }
+    };
+    
+    // Remote overrides are opt-in; a missing file is not an error
+    const REMOTE_CONFIG_TIMEOUT = 2000;
+    
+    const subscribers = new Set();
+    
+    function normalizeRule(rule) {
+        return typeof rule === 'string' ? { type: rule } : rule;
+    }
+    
+    function typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        return typeof value;
+    }
+    
+    /**
+     * Check a value against a schema rule; problems are pushed onto errors
+     */
+    function checkValue(value, rule, path, errors) {
+        rule = normalizeRule(rule);
+        
+        if (typeOf(value) !== rule.type) {
+            errors.push(`"${path}" should be ${rule.type} but got ${typeOf(value)}`);
+            return false;
+        }
+        
+        if (rule.enum && !rule.enum.includes(value)) {
+            errors.push(`"${path}" should be one of ${rule.enum.join(', ')} but got "${value}"`);
+            return false;
+        }
+        
+        if (rule.type === 'array' && rule.items) {
+            return value.every((item, i) => checkValue(item, rule.items, `${path}[${i}]`, errors));
+        }
+        
+        if (rule.type === 'object' && rule.values) {
+            return Object.keys(value).every(key => checkValue(value[key], rule.values, `${path}.${key}`, errors));
+        }
+        
+        if (rule.type === 'object' && rule.properties) {
+            let valid = true;
+            
+            Object.keys(value).forEach(key => {
+                const childPath = `${path}.${key}`;
+                
+                if (!(key in rule.properties)) {
+                    errors.push(`Unknown key "${childPath}"`);
+                    valid = false;
+                } else if (!checkValue(value[key], rule.properties[key], childPath, errors)) {
+                    valid = false;
+                }
+            });
+            
+            return valid;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Merge overrides into a config, skipping unknown keys and wrong types.
+     * Nested objects merge key by key; arrays are replaced whole.
+     */
+    function mergeValidated(target, overrides, properties, path, errors) {
+        const result = { ...target };
+        
+        Object.keys(overrides || {}).forEach(key => {
+            const keyPath = path ? `${path}.${key}` : key;
+            const rule = properties[key] && normalizeRule(properties[key]);
+            const value = overrides[key];
+            
+            if (!rule) {
+                errors.push(`Unknown key "${keyPath}"`);
+                return;
+            }
+            
+            if (rule.type === 'object' && rule.properties && typeOf(value) === 'object') {
+                result[key] = mergeValidated(target[key] || {}, value, rule.properties, keyPath, errors);
+                return;
+            }
+            
+            // Free-form maps keep existing entries and validate each new one
+            if (rule.type === 'object' && rule.values && typeOf(value) === 'object') {
+                result[key] = { ...target[key] };
+                
+                Object.keys(value).forEach(entryKey => {
+                    if (checkValue(value[entryKey], rule.values, `${keyPath}.${entryKey}`, errors)) {
+                        result[key][entryKey] = value[entryKey];
+                    }
+                });
+                return;
+            }
+            
+            // Reject the whole value if any part of it is invalid
+            const valueErrors = [];
+            if (checkValue(value, rule, keyPath, valueErrors)) {
+                result[key] = value;
+            }
+            errors.push(...valueErrors);
+        });
+        
+        return result;
+    }
+    
+    function deepFreeze(value) {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+            Object.values(value).forEach(deepFreeze);
+            Object.freeze(value);
+        }
+        return value;
+    }
+    
+    function readPath(source, path) {
+        if (!path) return source;
+        
+        return path.split('.').reduce((value, key) => (
+            value !== undefined && value !== null ? value[key] : undefined
+        ), source);
+    }
+    
+    function hasSchemaPath(path) {
+        let rule = { type: 'object', properties: schema };
+        
+        return path.split('.').every(key => {
+            if (rule.values) {
+                rule = normalizeRule(rule.values);
+                return true;
+            }
+            
+            const next = rule.properties && rule.properties[key];
+            if (!next) return false;
+            
+            rule = normalizeRule(next);
+            return true;
+        });
+    }
+    
+    function reportErrors(errors, source) {
+        errors.forEach(error => console.warn(`CONFIG (${source}): ${error}`));
+    }
+    
+    // Apply overrides, then tell subscribers whose value changed
+    function applyOverrides(overrides, source) {
+        const errors = [];
+        const previous = current;
+        
+        current = deepFreeze(mergeValidated(current, overrides, schema, '', errors));
+        reportErrors(errors, source);
+        
+        subscribers.forEach(subscriber => {
+            const before = readPath(previous, subscriber.path);
+            const after = readPath(current, subscriber.path);
+            
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                try {
+                    subscriber.handler(after, before);
+                } catch (e) {
+                    console.error(`Error in CONFIG subscriber for "${subscriber.path}":`, e);
+                }
+            }
+        });
+        
+        return errors;
+    }
+    
+    // Start from the validated base and environment overrides
+    let current = deepFreeze(JSON.parse(JSON.stringify(baseConfig)));
+    applyOverrides(envOverrides[currentEnv], currentEnv);
+    
+    // Override with any config from data attributes
+    const configScript = document.querySelector('script[data-config]');
+    if (configScript) {
+        try {
+            const dataConfig = JSON.parse(configScript.getAttribute('data-config'));
+            applyOverrides(dataConfig, 'data-config');
+        } catch (e) {
+            console.error('Error parsing data-config attribute:', e);
+        }
+    }
+    
+    const api = {
+        /**
+         * Read a value by dot path, e.g. get('features.pricing').
+         * Paths outside the schema warn and return the default.
+         */
+        get: function(path, defaultValue) {
+            if (!hasSchemaPath(path)) {
+                console.warn(`CONFIG: unknown path "${path}"`);
+                return defaultValue;
+            }
+            
+            const value = readPath(current, path);
+            return value === undefined ? defaultValue : value;
+        },
+        
+        // Validate and apply overrides at runtime; returns the problems found
+        set: function(overrides) {
+            return applyOverrides(overrides, 'runtime');
+        },
+        
+        // Problems a candidate config would have, without applying it
+        validate: function(candidate) {
+            const errors = [];
+            checkValue(candidate, { type: 'object', properties: schema }, 'config', errors);
+            return errors;
+        },
+        
+        /**
+         * Call handler(newValue, oldValue) when the value at path changes;
+         * an empty path watches everything. Returns an unsubscribe function.
+         */
+        subscribe: function(path, handler) {
+            const subscriber = { path: path || '', handler };
+            subscribers.add(subscriber);
+            return () => subscribers.delete(subscriber);
+        },
+        
+        /**
+         * Fetch optional remote overrides. The URL comes from the config
+         * script's data-config-src, e.g. data-config-src="/config.json";
+         * without one nothing is fetched and start-up isn't delayed.
+         */
+        load: function(url) {
+            const src = url !== undefined
+                ? url
+                : (configScript && configScript.getAttribute('data-config-src'));
+            
+            if (!src || typeof fetch !== 'function') {
+                return Promise.resolve([]);
+            }
+            
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const timeoutId = setTimeout(() => controller && controller.abort(), REMOTE_CONFIG_TIMEOUT);
+            
+            return fetch(src, {
+                headers: { 'Accept': 'application/json' },
+                cache: 'no-cache',
+                signal: controller ? controller.signal : undefined
+            })
+                .then(response => {
+                    if (response.status === 404) return null;
+                    if (!response.ok) {
+                        throw new Error(`Network response was not ok: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(remoteConfig => (remoteConfig ? applyOverrides(remoteConfig, src) : []))
+                .catch(e => {
+                    console.warn(`CONFIG: could not load ${src}:`, e.message);
+                    return [];
+                })
+                .finally(() => clearTimeout(timeoutId));
+        }
+    };
+    
+    // Keep CONFIG.key access working; each read sees the latest values
+    Object.keys(schema).forEach(key => {
+        Object.defineProperty(api, key, {
+            enumerable: true,
+            get: () => current[key]
+        });
+    });
+    
+    return Object.freeze(api);
+})();
+
+/**
+ * Text strings for localization with dynamic loading.
+ * Pages whose every string is bound with data-i18n say so with
+ * <html data-i18n-bound>; Header then switches them in place.
+ */
+const I18n = (function() {
+    // Base strings for English as default
+    const defaultStrings = {
+    en: {
+        darkMode: "Dark Mode",
+        lightMode: "Light Mode",
+        formRequired: "This field is required",
+        formEmail: "Please enter a valid email address",
+        formConsent: "You must agree to the terms",
+        formSuccess: "Thank you! Your message has been sent.",
+        formError: "Sorry, there was a problem sending your message.",
+        newsletterSuccess: "Thank you for subscribing!",
+        newsletterError: "Subscription failed. Please try again.",
+        formQueued: "You're offline. Your message will be sent automatically once you're back online.",
+        formQueueSent: "Your message has been sent now that you're back online.",
+        loading: "Loading...",
+        backToTop: "Back to top",
+        menuOpen: "Open menu",
+        menuClose: "Close menu",
+        cookieConsentText: "This website uses cookies to ensure you get the best experience.",
+        cookieAccept: "Accept",
+        cookieDecline: "Decline",
+        cookieSettings: "Cookie settings",
+        languageSwitch: "Change language",
+        moreInfo: "More information",
+        readMore: "Read more",
+        sendMessage: "Send message",
+        subscribe: "Subscribe",
+        errorTitle: "An error occurred",
+        tryAgain: "Try again",
+        close: "Close",
+        viewAll: "View all",
+        prev: "Previous",
+        next: "Next",
+        paginationLabel: "Pagination",
+		languageLoadError: "Could not load {language} content. Please try again.",
+        readTime: "{minutes, plural, one {# minute read} other {# minutes read}}",
+        pricingValidUntil: "Pricing valid until {date, date, long}",
+        localeBannerPrompt: "View this page in {language}?",
+        localeBannerAccept: "Yes, switch",
+        localeBannerDismiss: "No thanks"
     },
     es: {
         darkMode: "Modo oscuro",
@@ -703,6 +1788,8 @@ const I18n = (function() {
         formError: "Lo sentimos, ha habido un problema al enviar tu mensaje.",
         newsletterSuccess: "¡Gracias por suscribirte!",
         newsletterError: "Error en la suscripción. Por favor, inténtalo de nuevo.",
+        formQueued: "Estás sin conexión. Tu mensaje se enviará automáticamente cuando vuelvas a estar en línea.",
+        formQueueSent: "Tu mensaje se ha enviado ahora que vuelves a estar en línea.",
         loading: "Cargando...",
         backToTop: "Volver arriba",
         menuOpen: "Abrir menú",
@@ -723,7 +1810,12 @@ const I18n = (function() {
         prev: "Anterior",
         next: "Siguiente",
         paginationLabel: "Paginación",
-		languageLoadError: "No se pudo cargar el contenido en {language}. Por favor, inténtelo de nuevo."
+		languageLoadError: "No se pudo cargar el contenido en {language}. Por favor, inténtelo de nuevo.",
+        readTime: "{minutes, plural, one {# minuto de lectura} other {# minutos de lectura}}",
+        pricingValidUntil: "Precios válidos hasta el {date, date, long}",
+        localeBannerPrompt: "¿Ver esta página en {language}?",
+        localeBannerAccept: "Sí, cambiar",
+        localeBannerDismiss: "No, gracias"
     },
     it: {
         darkMode: "Modalità scura",
@@ -735,6 +1827,8 @@ const I18n = (function() {
         formError: "Siamo spiacenti, si è verificato un problema nell'invio del messaggio.",
         newsletterSuccess: "Grazie per l'iscrizione!",
         newsletterError: "Iscrizione fallita. Si prega di riprovare.",
+        formQueued: "Sei offline. Il tuo messaggio verrà inviato automaticamente appena tornerai online.",
+        formQueueSent: "Il tuo messaggio è stato inviato ora che sei di nuovo online.",
         loading: "Caricamento in corso...",
         backToTop: "Torna all'inizio",
         menuOpen: "Apri menu",
@@ -756,6 +1850,11 @@ const I18n = (function() {
         next: "Successivo",
         paginationLabel: "Paginazione",
 		languageLoadError: "Impossibile caricare il contenuto in {language}. Si prega di riprovare.",
+        readTime: "{minutes, plural, one {# minuto di lettura} other {# minuti di lettura}}",
+        pricingValidUntil: "Prezzi validi fino al {date, date, long}",
+        localeBannerPrompt: "Vuoi vedere questa pagina in {language}?",
+        localeBannerAccept: "Sì, cambia",
+        localeBannerDismiss: "No, grazie"
     },
     fr: {
         darkMode: "Mode sombre",
@@ -767,6 +1866,8 @@ const I18n = (function() {
         formError: "Désolé, un problème est survenu lors de l'envoi de votre message.",
         newsletterSuccess: "Merci pour votre abonnement !",
         newsletterError: "Échec de l'abonnement. Veuillez réessayer.",
+        formQueued: "Vous êtes hors ligne. Votre message sera envoyé automatiquement dès votre retour en ligne.",
+        formQueueSent: "Votre message a été envoyé maintenant que vous êtes de nouveau en ligne.",
         loading: "Chargement...",
         backToTop: "Retour en haut",
         menuOpen: "Ouvrir le menu",
@@ -787,7 +1888,12 @@ const I18n = (function() {
         prev: "Précédent",
         next: "Suivant",
         paginationLabel: "Pagination",
-		languageLoadError: "Impossible de charger le contenu en {language}. Veuillez réessayer."
+		languageLoadError: "Impossible de charger le contenu en {language}. Veuillez réessayer.",
+        readTime: "{minutes, plural, one {# minute de lecture} other {# minutes de lecture}}",
+        pricingValidUntil: "Tarifs valables jusqu'au {date, date, long}",
+        localeBannerPrompt: "Afficher cette page en {language} ?",
+        localeBannerAccept: "Oui, changer",
+        localeBannerDismiss: "Non merci"
     },
     de: {
         darkMode: "Dunkelmodus",
@@ -799,6 +1905,8 @@ const I18n = (function() {
         formError: "Entschuldigung, beim Senden Ihrer Nachricht ist ein Problem aufgetreten.",
         newsletterSuccess: "Vielen Dank für Ihre Anmeldung!",
         newsletterError: "Anmeldung fehlgeschlagen. Bitte versuchen Sie es erneut.",
+        formQueued: "Sie sind offline. Ihre Nachricht wird automatisch gesendet, sobald Sie wieder online sind.",
+        formQueueSent: "Ihre Nachricht wurde gesendet, da Sie wieder online sind.",
         loading: "Wird geladen...",
         backToTop: "Zurück nach oben",
         menuOpen: "Menü öffnen",
@@ -819,7 +1927,12 @@ const I18n = (function() {
         prev: "Zurück",
         next: "Weiter",
         paginationLabel: "Seitennavigation",
-		languageLoadError: "Konnte {language}-Inhalt nicht laden. Bitte versuchen Sie es erneut."
+		languageLoadError: "Konnte {language}-Inhalt nicht laden. Bitte versuchen Sie es erneut.",
+        readTime: "{minutes, plural, one {# Minute Lesezeit} other {# Minuten Lesezeit}}",
+        pricingValidUntil: "Preise gültig bis {date, date, long}",
+        localeBannerPrompt: "Diese Seite auf {language} anzeigen?",
+        localeBannerAccept: "Ja, wechseln",
+        localeBannerDismiss: "Nein danke"
     },
     pt: {
         darkMode: "Modo escuro",
@@ -831,6 +1944,8 @@ const I18n = (function() {
         formError: "Desculpe, ocorreu um problema ao enviar sua mensagem.",
         newsletterSuccess: "Obrigado por se inscrever!",
         newsletterError: "Falha na inscrição. Por favor, tente novamente.",
+        formQueued: "Você está offline. Sua mensagem será enviada automaticamente quando você voltar a ficar online.",
+        formQueueSent: "Sua mensagem foi enviada agora que você está online novamente.",
         loading: "Carregando...",
         backToTop: "Voltar ao topo",
         menuOpen: "Abrir menu",
@@ -851,173 +1966,1551 @@ const I18n = (function() {
         prev: "Anterior",
         next: "Próximo",
         paginationLabel: "Paginação",
-		languageLoadError: "Não foi possível carregar o conteúdo em {language}. Por favor, tente novamente."
+		languageLoadError: "Não foi possível carregar o conteúdo em {language}. Por favor, tente novamente.",
+        readTime: "{minutes, plural, one {# minuto de leitura} other {# minutos de leitura}}",
+        pricingValidUntil: "Preços válidos até {date, date, long}",
+        localeBannerPrompt: "Ver esta página em {language}?",
+        localeBannerAccept: "Sim, mudar",
+        localeBannerDismiss: "Não, obrigado"
+    }
+};
+    
+    // Currently loaded language strings
+    let currentLang = document.documentElement.lang || CONFIG.defaultLanguage || 'en';
+    let strings = { ...(defaultStrings[currentLang] || defaultStrings.en) };
+    let pendingLanguageLoads = new Map();
+    let languageRequest = 0;
+    let bindingObserver = null;
+    
+    // Keys looked up but absent from a language, and an optional output
+    // transform (used by the pseudo-locale)
+    const missingKeys = new Map();
+    let messageTransform = null;
+    
+    // Language packs live under /assets/lang/ and are cached in IndexedDB
+    // so a failed fetch (or offline visit) can still switch language
+    const LANGUAGE_PACK_URL = '/assets/lang/{code}.json';
+    const LANGUAGE_PACK_EXPIRY_DAYS = 30;
+    const languagePacks = StorageUtil.namespace('i18n', { backend: 'indexeddb', quota: 2 * 1024 * 1024 });
+    const loadedLanguages = new Set();
+    
+    // Attributes data-i18n-attr may set; content is for <meta> tags
+    const BINDABLE_ATTRIBUTES = ['placeholder', 'aria-label', 'title', 'content'];
+    const BINDING_SELECTOR = '[data-i18n], [data-i18n-attr], [data-i18n-placeholder], [data-i18n-title], [data-i18n-aria-label]';
+    
+    // Load a language pack, merged over the built-in strings
+    function loadLanguage(langCode) {
+        if (loadedLanguages.has(langCode)) {
+            return Promise.resolve(defaultStrings[langCode]);
+        }
+        
+        // If we are currently loading it
+        if (pendingLanguageLoads.has(langCode)) {
+            return pendingLanguageLoads.get(langCode);
+        }
+        
+        const url = LANGUAGE_PACK_URL.replace('{code}', encodeURIComponent(langCode));
+        
+        const langPromise = fetch(url, { headers: { 'Accept': 'application/json' } })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Network response was not ok: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(pack => {
+                languagePacks.set(langCode, pack, { expires: LANGUAGE_PACK_EXPIRY_DAYS });
+                loadedLanguages.add(langCode);
+                return pack;
+            })
+            .catch(error => languagePacks.get(langCode).then(cached => {
+                if (cached) return cached;
+                
+                console.warn(`Could not load ${url}, using built-in strings:`, error.message);
+                return {};
+            }))
+            .then(pack => {
+                defaultStrings[langCode] = { ...(defaultStrings[langCode] || {}), ...pack };
+                return defaultStrings[langCode];
+            })
+            .finally(() => pendingLanguageLoads.delete(langCode));
+        
+        pendingLanguageLoads.set(langCode, langPromise);
+        return langPromise;
+    }
+    
+    // Parsed messages by source text, and Intl formatters by options
+    const messageCache = new Map();
+    const formatterCache = new Map();
+    
+    /**
+     * Parse an ICU MessageFormat string into a list of literal strings and
+     * argument nodes. Supports {arg}, {arg, number|date|time[, style]},
+     * {arg, plural|selectordinal, [offset:n] ...} and {arg, select, ...},
+     * with '' and '{...}' quoting. Throws SyntaxError when malformed.
+     */
+    function parseMessage(message) {
+        let pos = 0;
+        
+        function fail(reason) {
+            throw new SyntaxError(`${reason} at position ${pos} in "${message}"`);
+        }
+        
+        function skipSpace() {
+            while (pos < message.length && /\s/.test(message[pos])) pos++;
+        }
+        
+        function readUntil(stops) {
+            const start = pos;
+            while (pos < message.length && !stops.includes(message[pos])) pos++;
+            return message.slice(start, pos).trim();
+        }
+        
+        function expect(char) {
+            if (message[pos] !== char) fail(`Expected "${char}"`);
+            pos++;
+        }
+        
+        // Literal text and arguments up to a closing brace or the end
+        function parseParts(inPlural) {
+            const parts = [];
+            let text = '';
+            
+            while (pos < message.length && message[pos] !== '}') {
+                const char = message[pos];
+                
+                if (char === "'") {
+                    const next = message[pos + 1];
+                    
+                    if (next === "'") {
+                        text += "'";
+                        pos += 2;
+                    } else if (next === '{' || next === '}' || (inPlural && next === '#')) {
+                        // Quoted literal, e.g. '{' or '#'
+                        const end = message.indexOf("'", pos + 1);
+                        if (end === -1) fail('Unterminated quote');
+                        text += message.slice(pos + 1, end);
+                        pos = end + 1;
+                    } else {
+                        text += char;
+                        pos++;
+                    }
+                } else if (char === '{') {
+                    if (text) parts.push(text);
+                    text = '';
+                    pos++;
+                    parts.push(parseArgument(inPlural));
+                } else if (char === '#' && inPlural) {
+                    if (text) parts.push(text);
+                    text = '';
+                    parts.push({ type: 'pound' });
+                    pos++;
+                } else {
+                    text += char;
+                    pos++;
+                }
+            }
+            
+            if (text) parts.push(text);
+            return parts;
+        }
+        
+        function parseArgument(inPlural) {
+            const arg = readUntil([',', '}']);
+            if (!arg) fail('Missing argument name');
+            
+            if (message[pos] === '}') {
+                pos++;
+                return { type: 'simple', arg };
+            }
+            
+            expect(',');
+            const type = readUntil([',', '}']);
+            
+            if (type === 'plural' || type === 'selectordinal' || type === 'select') {
+                const node = { type, arg, offset: 0, options: {} };
+                expect(',');
+                skipSpace();
+                
+                const offset = /^offset:\s*(\d+)/.exec(message.slice(pos));
+                if (offset && type !== 'select') {
+                    node.offset = parseInt(offset[1], 10);
+                    pos += offset[0].length;
+                }
+                
+                skipSpace();
+                while (message[pos] !== '}') {
+                    if (pos >= message.length) fail('Unclosed argument');
+                    
+                    const selector = readUntil(['{', '}']);
+                    if (!selector) fail('Missing option selector');
+                    
+                    expect('{');
+                    node.options[selector] = parseParts(type === 'select' ? inPlural : true);
+                    expect('}');
+                    skipSpace();
+                }
+                pos++;
+                
+                if (!node.options.other) fail(`Missing "other" option for "${arg}"`);
+                return node;
+            }
+            
+            if (type !== 'number' && type !== 'date' && type !== 'time') {
+                fail(`Unknown argument type "${type}"`);
+            }
+            
+            let style = '';
+            if (message[pos] === ',') {
+                pos++;
+                style = readUntil(['}']);
+            }
+            expect('}');
+            
+            return { type, arg, style };
+        }
+        
+        const parts = parseParts(false);
+        if (pos < message.length) fail('Unexpected "}"');
+        
+        return parts;
+    }
+    
+    function getFormatter(Constructor, lang, options) {
+        const cacheKey = `${Constructor.name}|${lang}|${JSON.stringify(options)}`;
+        
+        if (!formatterCache.has(cacheKey)) {
+            formatterCache.set(cacheKey, new Constructor(lang, options));
+        }
+        
+        return formatterCache.get(cacheKey);
+    }
+    
+    // Number styles: integer, percent, currency (code from the `currency`
+    // value, default USD) and the ::currency/EUR skeleton
+    function formatNumber(value, style, lang, values) {
+        const options = {};
+        const currencySkeleton = /^::currency\/([A-Z]{3})$/.exec(style);
+        
+        if (style === 'integer') {
+            options.maximumFractionDigits = 0;
+        } else if (style === 'percent' || style === '::percent') {
+            options.style = 'percent';
+        } else if (style === 'currency' || currencySkeleton) {
+            options.style = 'currency';
+            options.currency = currencySkeleton ? currencySkeleton[1] : (values.currency || 'USD');
+        } else if (style) {
+            throw new SyntaxError(`Unknown number style "${style}"`);
+        }
+        
+        return getFormatter(Intl.NumberFormat, lang, options).format(Number(value));
+    }
+    
+    // Date and time styles: short, medium (default), long, full
+    function formatDate(value, type, style, lang) {
+        const resolvedStyle = style || 'medium';
+        
+        if (!['short', 'medium', 'long', 'full'].includes(resolvedStyle)) {
+            throw new SyntaxError(`Unknown ${type} style "${style}"`);
+        }
+        
+        const date = value instanceof Date ? value : new Date(value);
+        const options = type === 'date' ? { dateStyle: resolvedStyle } : { timeStyle: resolvedStyle };
+        
+        return getFormatter(Intl.DateTimeFormat, lang, options).format(date);
+    }
+    
+    function formatParts(parts, values, lang, pluralValue) {
+        return parts.map(part => {
+            if (typeof part === 'string') return part;
+            
+            if (part.type === 'pound') {
+                return formatNumber(pluralValue, '', lang, values);
+            }
+            
+            const value = values[part.arg];
+            
+            // Leave unknown placeholders visible, as before
+            if (value === undefined) return `{${part.arg}}`;
+            
+            switch (part.type) {
+                case 'number':
+                    return formatNumber(value, part.style, lang, values);
+                    
+                case 'date':
+                case 'time':
+                    return formatDate(value, part.type, part.style, lang);
+                    
+                case 'plural':
+                case 'selectordinal': {
+                    const number = Number(value) - part.offset;
+                    const rules = getFormatter(Intl.PluralRules, lang, {
+                        type: part.type === 'selectordinal' ? 'ordinal' : 'cardinal'
+                    });
+                    const option = part.options[`=${Number(value)}`] ||
+                                   part.options[rules.select(number)] ||
+                                   part.options.other;
+                    
+                    return formatParts(option, values, lang, number);
+                }
+                
+                case 'select':
+                    return formatParts(part.options[String(value)] || part.options.other, values, lang, pluralValue);
+                    
+                default:
+                    return String(value);
+            }
+        }).join('');
+    }
+    
+    /**
+     * Format an ICU message for a language. Parse results are cached,
+     * including failures, which are rethrown.
+     */
+    function formatMessage(message, values = {}, lang = currentLang) {
+        if (!messageCache.has(message)) {
+            try {
+                messageCache.set(message, parseMessage(message));
+            } catch (e) {
+                messageCache.set(message, e);
+            }
+        }
+        
+        const parsed = messageCache.get(message);
+        if (parsed instanceof Error) throw parsed;
+        
+        return formatParts(parsed, values, lang);
+    }
+    
+    // Get string with optional ICU arguments; a malformed message falls
+    // back to the fallback language's version of the string
+    function getString(key, substitutions = {}) {
+        const fallbackLang = CONFIG.fallbackLanguage || 'en';
+        
+        if (typeof strings[key] !== 'string') {
+            recordMissingKey(currentLang, key);
+        }
+        
+        const candidates = [
+            [currentLang, strings[key]],
+            [fallbackLang, (defaultStrings[fallbackLang] || {})[key]]
+        ];
+        
+        for (const [lang, message] of candidates) {
+            if (typeof message !== 'string') continue;
+            
+            try {
+                return transformMessage(formatMessage(message, substitutions, lang));
+            } catch (e) {
+                console.warn(`I18n: could not format "${key}" for ${lang}:`, e.message);
+            }
+        }
+        
+        return strings[key] || key;
+    }
+    
+    function transformMessage(text) {
+        return messageTransform ? messageTransform(text) : text;
+    }
+    
+    // Remember each missing key once per language and announce it
+    function recordMissingKey(langCode, key) {
+        if (!missingKeys.has(langCode)) missingKeys.set(langCode, new Set());
+        
+        const keys = missingKeys.get(langCode);
+        if (keys.has(key)) return;
+        
+        keys.add(key);
+        document.dispatchEvent(new CustomEvent('i18nMissingKey', {
+            detail: { language: langCode, key }
+        }));
+    }
+    
+    function getMissingKeys() {
+        const result = {};
+        missingKeys.forEach((keys, langCode) => {
+            result[langCode] = Array.from(keys).sort();
+        });
+        return result;
+    }
+    
+    /**
+     * Run every translated string through `transform` (or stop, with null)
+     * and re-render the bound nodes
+     */
+    function setTransform(transform) {
+        messageTransform = typeof transform === 'function' ? transform : null;
+        translatePage();
+    }
+    
+    // Initialize strings from inline script
+    const scriptSelector = 'script[data-language-strings]';
+    const stringsScript = document.querySelector(scriptSelector);
+    
+    if (stringsScript) {
+        try {
+            const scriptStrings = JSON.parse(stringsScript.textContent);
+            
+            // Merge with default strings
+            Object.entries(scriptStrings).forEach(([lang, langStrings]) => {
+                defaultStrings[lang] = { ...defaultStrings[lang] || {}, ...langStrings };
+            });
+            
+            // Set current language strings
+            strings = defaultStrings[currentLang] || defaultStrings.en;
+        } catch (e) {
+            console.error('Error parsing language strings:', e);
+        }
+    }
+    
+    // ICU arguments from data-i18n-args (JSON) and legacy data-i18n-param-*
+    function getBindingArgs(element) {
+        const args = {};
+        
+        Array.from(element.attributes)
+            .filter(attr => attr.name.startsWith('data-i18n-param-'))
+            .forEach(attr => {
+                args[attr.name.replace('data-i18n-param-', '')] = attr.value;
+            });
+        
+        const json = element.getAttribute('data-i18n-args');
+        if (json) {
+            try {
+                Object.assign(args, JSON.parse(json));
+            } catch (e) {
+                console.warn('I18n: invalid data-i18n-args JSON on', element);
+            }
+        }
+        
+        return args;
+    }
+    
+    // "placeholder:formName; aria-label:menuOpen" → [[attribute, key], ...]
+    function getAttributeBindings(element) {
+        const bindings = (element.getAttribute('data-i18n-attr') || '')
+            .split(';')
+            .map(binding => binding.split(':').map(part => part.trim()))
+            .filter(([attr, key]) => attr && key);
+        
+        // Older one-attribute-per-binding form
+        BINDABLE_ATTRIBUTES.forEach(attr => {
+            const key = element.getAttribute(`data-i18n-${attr}`);
+            if (key) bindings.push([attr, key]);
+        });
+        
+        return bindings;
+    }
+    
+    function translateElement(element) {
+        if (!element) return;
+        
+        const args = getBindingArgs(element);
+        const key = element.getAttribute('data-i18n');
+        
+        if (key) {
+            element.textContent = getString(key, args);
+        }
+        
+        getAttributeBindings(element).forEach(([attr, attrKey]) => {
+            if (!BINDABLE_ATTRIBUTES.includes(attr)) {
+                console.warn(`I18n: "${attr}" can't be bound with data-i18n-attr`);
+                return;
+            }
+            
+            element.setAttribute(attr, getString(attrKey, args));
+        });
+    }
+    
+    function translateTree(root) {
+        if (root.matches && root.matches(BINDING_SELECTOR)) {
+            translateElement(root);
+        }
+        
+        root.querySelectorAll(BINDING_SELECTOR).forEach(translateElement);
+    }
+    
+    // Keep inserted nodes and changed bindings translated without a manual call
+    function observeBindings() {
+        if (bindingObserver || typeof MutationObserver === 'undefined' || !document.body) return;
+        
+        bindingObserver = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                if (mutation.type === 'attributes') {
+                    translateElement(mutation.target);
+                    return;
+                }
+                
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) translateTree(node);
+                });
+            });
+        });
+        
+        bindingObserver.observe(document.body, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['data-i18n', 'data-i18n-attr', 'data-i18n-args']
+        });
+    }
+    
+    // Translate every bound element
+    function translatePage() {
+        translateTree(document);
+        observeBindings();
+        
+        // Update any dynamic content based on the loaded language
+        document.dispatchEvent(new CustomEvent('translate', { 
+            detail: { language: currentLang }
+        }));
+    }
+    
+    /**
+     * Switch language in place: load the pack, update lang/dir on <html>
+     * and re-render every bound node
+     */
+    function setLanguage(langCode) {
+        if (!langCode || typeof langCode !== 'string') {
+            return Promise.reject(new Error('Invalid language code'));
+        }
+        
+        // Find if language is supported
+        const langInfo = CONFIG.supportedLanguages.find(lang => lang.code === langCode);
+        
+        if (!langInfo) {
+            return Promise.reject(new Error(`Language ${langCode} is not supported`));
+        }
+        
+        const requestId = ++languageRequest;
+        const previousLanguage = currentLang;
+        
+        return loadLanguage(langCode).then(langStrings => {
+            // A later call has taken over
+            if (requestId !== languageRequest) return langStrings;
+            
+            currentLang = langCode;
+            strings = langStrings;
+            
+            document.documentElement.lang = langCode;
+            document.documentElement.dir = langInfo.dir || 'ltr';
+            
+            translatePage();
+            
+            // Dispatch event for other components
+            document.dispatchEvent(new CustomEvent('languageChanged', { 
+                detail: { language: langCode, previousLanguage }
+            }));
+            
+            return strings;
+        });
+    }
+    
+    // Return the public API
+    return {
+        get: getString,
+        
+        format: formatMessage,
+        
+        getLanguage: function() {
+            return currentLang;
+        },
+        
+        setLanguage,
+        
+        loadLanguage,
+        
+        getAllLanguages: function() {
+            return CONFIG.supportedLanguages;
+        },
+        
+        // Copy of the strings loaded so far for a language
+        getMessages: function(langCode) {
+            return { ...(defaultStrings[langCode] || {}) };
+        },
+        
+        getMissingKeys,
+        
+        getAttributeBindings,
+        
+        // Whether setLanguage() alone re-renders the whole page
+        isPageBound: function() {
+            return document.documentElement.hasAttribute('data-i18n-bound');
+        },
+        
+        setTransform,
+        
+        translateElement,
+        
+        // Translate all elements with data-i18n attributes
+        translatePage
+    };
+})();
+
+/**
+ * =========================================================
+ * LOCALE MODULE
+ * =========================================================
+ */
+
+/**
+ * Works out which language a visitor wants, in a fixed order: an
+ * explicit /xx/ URL prefix, the preference saved in StorageUtil, then
+ * navigator.languages. A mismatch is offered through a banner rather
+ * than a redirect.
+ */
+const Locale = (function() {
+    const PREFERENCE_KEY = 'preferred_language';
+    const PREFERENCE_EXPIRY_DAYS = 365;
+    const DISMISSED_KEY = 'locale_banner_dismissed';
+    const DISMISSED_EXPIRY_DAYS = 30;
+    const BANNER_ID = 'locale-banner';
+    const PATH_PREFIX = /^\/([a-z]{2})(?=\/|$)/i;
+    
+    let isInitialized = false;
+    
+    /**
+     * Map a BCP 47 tag onto a supported language code, falling back from
+     * region to base language (pt-BR → pt)
+     */
+    function matchLanguage(tag) {
+        if (!tag || typeof tag !== 'string') return null;
+        
+        const normalized = tag.trim().toLowerCase().replace(/_/g, '-');
+        const base = normalized.split('-')[0];
+        const find = code => CONFIG.supportedLanguages.find(lang => lang.code.toLowerCase() === code);
+        const match = find(normalized) || find(base);
+        
+        return match ? match.code : null;
+    }
+    
+    function isSupported(code) {
+        return CONFIG.supportedLanguages.some(lang => lang.code === code);
+    }
+    
+    // Supported language from the /xx/ prefix of a path
+    function fromPath(pathname = window.location.pathname) {
+        const match = PATH_PREFIX.exec(pathname || '');
+        if (!match) return null;
+        
+        const code = match[1].toLowerCase();
+        return isSupported(code) ? code : null;
+    }
+    
+    // Same path under another language prefix
+    function localizePath(pathname, langCode) {
+        const current = fromPath(pathname);
+        const rest = current ? pathname.slice(current.length + 1) : pathname;
+        
+        return `/${langCode}${rest.startsWith('/') ? rest : `/${rest}`}`;
+    }
+    
+    function getSaved() {
+        return matchLanguage(StorageUtil.get(PREFERENCE_KEY));
+    }
+    
+    // Remember an explicit choice for future visits
+    function remember(langCode) {
+        const code = matchLanguage(langCode);
+        if (code) {
+            StorageUtil.set(PREFERENCE_KEY, code, { expires: PREFERENCE_EXPIRY_DAYS });
+        }
+    }
+    
+    function fromNavigator() {
+        const languages = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language];
+        
+        for (const tag of languages) {
+            const code = matchLanguage(tag);
+            if (code) return code;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * The visitor's language and where it came from:
+     * 'url', 'saved', 'browser' or 'default'
+     */
+    function resolve() {
+        const candidates = [
+            ['url', fromPath],
+            ['saved', getSaved],
+            ['browser', fromNavigator]
+        ];
+        
+        for (const [source, detect] of candidates) {
+            const language = detect();
+            if (language) return { language, source };
+        }
+        
+        return { language: CONFIG.defaultLanguage || 'en', source: 'default' };
     }
-};
     
-    // Currently loaded language strings
-    let strings = { ...defaultStrings.en };
-    let currentLang = document.documentElement.lang || CONFIG.defaultLanguage || 'en';
-    let pendingLanguageLoads = new Map();
+    // Use the header switcher so the in-place AJAX switch is reused
+    function switchTo(langCode) {
+        const link = document.querySelector(`#lang-menu a[hreflang="${langCode}"], #mobile-lang-menu a[hreflang="${langCode}"]`);
+        
+        if (link) {
+            link.click();
+            return;
+        }
+        
+        window.location.href = localizePath(window.location.pathname, langCode) +
+            window.location.search + window.location.hash;
+    }
+    
+    function trackBanner(action, langCode) {
+        if (window.dataLayer) {
+            window.dataLayer.push({
+                event: 'localeSuggestion',
+                suggestionAction: action,
+                suggestedLanguage: langCode
+            });
+        }
+    }
+    
+    function hideBanner(banner) {
+        banner.classList.replace('opacity-100', 'opacity-0');
+        setTimeout(() => banner.remove(), 300);
+    }
+    
+    /**
+     * "View this page in Español?", written in the suggested language
+     */
+    function showBanner(langCode) {
+        if (document.getElementById(BANNER_ID)) return;
+        
+        const langInfo = CONFIG.supportedLanguages.find(lang => lang.code === langCode);
+        const messages = I18n.getMessages(langCode);
+        const text = key => messages[key]
+            ? I18n.format(messages[key], { language: langInfo.name }, langCode)
+            : I18n.get(key, { language: langInfo.name });
+        
+        const banner = document.createElement('div');
+        banner.id = BANNER_ID;
+        banner.className = 'fixed top-[80px] inset-x-4 md:inset-x-auto md:end-4 md:max-w-sm flex items-center gap-3 p-4 rounded-lg bg-[var(--bg-surface)] text-[var(--text-primary)] border border-[var(--border-color)] shadow-lg z-[var(--z-sticky)] transition-opacity duration-300 opacity-0';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', langInfo.name);
+        banner.setAttribute('data-i18n-ignore', '');
+        banner.lang = langCode;
+        banner.dir = langInfo.dir || 'ltr';
+        
+        const prompt = document.createElement('p');
+        prompt.className = 'flex-1 text-sm';
+        prompt.textContent = text('localeBannerPrompt');
+        
+        const acceptBtn = document.createElement('button');
+        acceptBtn.type = 'button';
+        acceptBtn.className = 'px-3 py-1.5 rounded bg-primary-500 text-white text-sm hover:bg-primary-600 focus-visible:ring-2 focus-visible:ring-ring';
+        acceptBtn.textContent = text('localeBannerAccept');
+        
+        const dismissBtn = document.createElement('button');
+        dismissBtn.type = 'button';
+        dismissBtn.className = 'px-3 py-1.5 rounded text-sm text-[var(--text-secondary)] hover:text-[var(--text-primary)] focus-visible:ring-2 focus-visible:ring-ring';
+        dismissBtn.textContent = text('localeBannerDismiss');
+        
+        acceptBtn.addEventListener('click', () => {
+            hideBanner(banner);
+            remember(langCode);
+            trackBanner('accepted', langCode);
+            switchTo(langCode);
+        });
+        
+        dismissBtn.addEventListener('click', () => {
+            hideBanner(banner);
+            StorageUtil.set(DISMISSED_KEY, langCode, { expires: DISMISSED_EXPIRY_DAYS });
+            trackBanner('dismissed', langCode);
+        });
+        
+        banner.append(prompt, acceptBtn, dismissBtn);
+        document.body.appendChild(banner);
+        
+        setTimeout(() => banner.classList.replace('opacity-0', 'opacity-100'), 300);
+        trackBanner('shown', langCode);
+    }
+    
+    function init() {
+        if (isInitialized || !CONFIG.features.multilingual) return;
+        isInitialized = true;
+        
+        const { language, source } = resolve();
+        const current = matchLanguage(document.documentElement.lang) || CONFIG.defaultLanguage;
+        
+        // An explicit URL prefix is never second-guessed
+        if (source === 'url' || source === 'default' || language === current) return;
+        
+        if (StorageUtil.get(DISMISSED_KEY) === language) return;
+        
+        showBanner(language);
+    }
+    
+    return {
+        init,
+        resolve,
+        matchLanguage,
+        isSupported,
+        fromPath,
+        localizePath,
+        remember
+    };
+})();
+
+/**
+ * =========================================================
+ * ROUTER MODULE
+ * =========================================================
+ */
+
+/**
+ * History API router with named routes such as '/:lang/proposal/:id'.
+ * Route handlers may return a Promise; DOM swaps go through
+ * Router.transition() so they animate with the View Transitions API
+ * where it is supported. Scroll positions are kept in history.state.
+ */
+const Router = (function() {
+    const routes = [];
+    
+    let current = null;
+    let currentPath = window.location.pathname;
+    let navigationId = 0;
+    let animateRender = false;
+    let isInitialized = false;
+    
+    // '/:lang/proposal/:id' → /^\/([^/]+)\/proposal\/([^/]+)\/?$/ and ['lang', 'id']
+    function compile(path) {
+        const keys = [];
+        const source = path
+            .replace(/\/+$/, '')
+            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/:(\w+)/g, (_, key) => {
+                keys.push(key);
+                return '([^/]+)';
+            });
+        
+        return { regex: new RegExp(`^${source}/?$`), keys };
+    }
+    
+    /**
+     * Register (or replace) a named route. `constraints` limits what a
+     * parameter may be, as a list of values or a predicate, e.g.
+     * { lang: Locale.isSupported }; paths that fail them don't match.
+     */
+    function define(name, path, handler, constraints = {}) {
+        const route = { name, path, handler, constraints, ...compile(path) };
+        const index = routes.findIndex(existing => existing.name === name);
+        
+        if (index === -1) {
+            routes.push(route);
+        } else {
+            routes[index] = route;
+        }
+    }
+    
+    function match(pathname) {
+        for (const route of routes) {
+            const result = route.regex.exec(pathname);
+            if (!result) continue;
+            
+            const params = {};
+            route.keys.forEach((key, i) => {
+                params[key] = decodeURIComponent(result[i + 1]);
+            });
+            
+            const allowed = route.keys.every(key => {
+                const constraint = route.constraints[key];
+                if (!constraint) return true;
+                
+                return Array.isArray(constraint) ? constraint.includes(params[key]) : constraint(params[key]);
+            });
+            
+            if (!allowed) continue;
+            
+            return { route, name: route.name, params };
+        }
+        
+        return null;
+    }
+    
+    // Build a path for a named route
+    function href(name, params = {}) {
+        const route = routes.find(candidate => candidate.name === name);
+        if (!route) throw new Error(`Unknown route: ${name}`);
+        
+        return route.path.replace(/:(\w+)/g, (_, key) => {
+            if (params[key] === undefined) throw new Error(`Missing "${key}" for route ${name}`);
+            return encodeURIComponent(params[key]);
+        });
+    }
+    
+    function supportsTransitions() {
+        return typeof document.startViewTransition === 'function' && !MediaUtil.prefersReducedMotion();
+    }
+    
+    /**
+     * Run a DOM update inside a view transition when possible. Resolves
+     * once the DOM has been updated, not when the animation ends.
+     */
+    function transition(update) {
+        if (!supportsTransitions() || !animateRender) {
+            return Promise.resolve().then(update);
+        }
+        
+        return document.startViewTransition(update).updateCallbackDone;
+    }
+    
+    // Remember the scroll position on the current history entry
+    function saveScrollPosition() {
+        try {
+            window.history.replaceState({ ...(window.history.state || {}), scrollY: window.scrollY }, '');
+        } catch (e) {
+            // Some browsers throttle replaceState; losing one position is harmless
+        }
+    }
+    
+    function scrollToHash(hash) {
+        const target = hash && document.getElementById(decodeURIComponent(hash.substring(1)));
+        if (!target) return false;
+        
+        const headerHeight = document.getElementById('header')?.offsetHeight || 0;
+        window.scrollTo(0, target.getBoundingClientRect().top + window.scrollY - headerHeight - 20);
+        return true;
+    }
+    
+    function applyScroll({ type, scroll, scrollY, hash }) {
+        if (typeof scrollY === 'number') {
+            window.scrollTo(0, scrollY);
+        } else if (scroll && type !== 'initial' && !scrollToHash(hash)) {
+            window.scrollTo(0, 0);
+        }
+    }
+    
+    /**
+     * Run a matched route's handler, then restore or reset the scroll
+     * position. A failing handler turns into a full page load of the URL.
+     */
+    function render(matched, options) {
+        const id = ++navigationId;
+        const previous = current;
+        
+        current = matched;
+        currentPath = window.location.pathname;
+        
+        // The first render sets up the server-rendered page; don't animate it
+        animateRender = options.type !== 'initial';
+        
+        return Promise.resolve()
+            .then(() => matched.route.handler(matched.params, { type: options.type, previous }))
+            .then(() => {
+                if (id !== navigationId) return;
+                
+                applyScroll(options);
+                
+                document.dispatchEvent(new CustomEvent('routeChanged', {
+                    detail: {
+                        name: matched.name,
+                        params: matched.params,
+                        previous: previous ? previous.name : null,
+                        type: options.type
+                    }
+                }));
+            })
+            .catch(error => {
+                console.error(`Router: could not render ${matched.name}:`, error);
+                
+                if (id === navigationId && options.type !== 'initial') {
+                    window.location.reload();
+                }
+            });
+    }
+    
+    /**
+     * Navigate to a URL. Anything that no route matches, or that is on
+     * another origin, is loaded normally.
+     */
+    function navigate(url, { replace = false, scroll = true, state = {} } = {}) {
+        const target = new URL(url, window.location.href);
+        const matched = target.origin === window.location.origin ? match(target.pathname) : null;
+        
+        if (!matched) {
+            window.location.assign(target.href);
+            return Promise.resolve();
+        }
+        
+        // Re-navigating to the current URL doesn't add a history entry
+        const sameEntry = target.pathname === window.location.pathname && target.search === window.location.search;
+        const method = replace || sameEntry ? 'replaceState' : 'pushState';
+        
+        saveScrollPosition();
+        
+        try {
+            window.history[method]({ ...state, route: matched.name }, '', target.pathname + target.search + target.hash);
+        } catch (e) {
+            console.warn('History API not supported, falling back to URL replacement');
+            window.location.assign(target.href);
+            return Promise.resolve();
+        }
+        
+        return render(matched, { type: method === 'pushState' ? 'push' : 'replace', scroll, hash: target.hash });
+    }
+    
+    function handlePopState(event) {
+        const state = event.state || {};
+        
+        // Hash-only entries on the same page just get their scroll position back
+        if (window.location.pathname === currentPath) {
+            if (typeof state.scrollY === 'number') {
+                window.scrollTo(0, state.scrollY);
+            }
+            return;
+        }
+        
+        const matched = match(window.location.pathname);
+        
+        if (!matched) {
+            window.location.reload();
+            return;
+        }
+        
+        render(matched, { type: 'pop', scroll: true, scrollY: state.scrollY, hash: window.location.hash });
+    }
+    
+    // Same-origin links to a known route become router navigations
+    function handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        
+        const link = e.target.closest && e.target.closest('a[href]');
+        if (!link || (link.target && link.target !== '_self') ||
+            link.hasAttribute('download') || link.hasAttribute('data-router-ignore')) {
+            return;
+        }
+        
+        const url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin || !match(url.pathname)) return;
+        
+        // In-page anchors keep their own smooth scrolling
+        if (url.pathname === window.location.pathname && url.search === window.location.search && url.hash) return;
+        
+        e.preventDefault();
+        navigate(url.href);
+    }
+    
+    function init() {
+        if (isInitialized) return Promise.resolve();
+        
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+        
+        window.addEventListener('popstate', handlePopState);
+        window.addEventListener('pagehide', saveScrollPosition);
+        document.addEventListener('click', handleClick);
+        
+        isInitialized = true;
+        
+        const matched = match(window.location.pathname);
+        if (!matched) return Promise.resolve();
+        
+        return render(matched, { type: 'initial', scroll: false, scrollY: (window.history.state || {}).scrollY });
+    }
+    
+    return {
+        init,
+        define,
+        navigate,
+        href,
+        match,
+        transition,
+        
+        getCurrent: function() {
+            return current ? { name: current.name, params: { ...current.params } } : null;
+        }
+    };
+})();
+
+/**
+ * =========================================================
+ * PAGE STATE MODULE
+ * =========================================================
+ */
+
+/**
+ * Snapshots of what the visitor has done on the page (form input, open
+ * accordions, active tabs, slider position...) built from per-component
+ * serializers. A snapshot is kept in sessionStorage on pagehide so a
+ * reload or back navigation puts the visitor where they left off.
+ */
+const PageState = (function() {
+    const STORAGE_KEY = 'iaa:page_state';
+    
+    // Inputs whose values must never be written to storage or restored
+    const SKIPPED_INPUTS = ':not([type="radio"]):not([type="checkbox"]):not([type="file"]):not([type="password"]):not([type="hidden"])';
+    
+    const serializers = new Map();
+    let isInitialized = false;
+    
+    /**
+     * Add a serializer: `capture()` returns JSON-safe data and
+     * `restore(data)` applies it to the current DOM
+     */
+    function register(name, { capture, restore }) {
+        if (typeof capture !== 'function' || typeof restore !== 'function') {
+            throw new Error(`PageState serializer "${name}" needs capture and restore functions`);
+        }
+        
+        serializers.set(name, { capture, restore });
+    }
+    
+    function unregister(name) {
+        serializers.delete(name);
+    }
+    
+    function currentUrl() {
+        return window.location.pathname + window.location.search;
+    }
+    
+    function snapshot() {
+        const components = {};
+        
+        serializers.forEach(({ capture }, name) => {
+            try {
+                components[name] = capture();
+            } catch (e) {
+                console.warn(`PageState: could not capture "${name}":`, e);
+            }
+        });
+        
+        return {
+            url: currentUrl(),
+            timestamp: Date.now(),
+            scrollY: window.scrollY,
+            components
+        };
+    }
+    
+    /**
+     * Apply a snapshot. Components without a registered serializer are
+     * skipped, and the scroll position is restored last.
+     */
+    function restore(state, { scroll = true } = {}) {
+        if (!state || !state.components) return;
+        
+        Object.entries(state.components).forEach(([name, data]) => {
+            const serializer = serializers.get(name);
+            if (!serializer) return;
+            
+            try {
+                serializer.restore(data);
+            } catch (e) {
+                console.warn(`PageState: could not restore "${name}":`, e);
+            }
+        });
+        
+        if (scroll && typeof state.scrollY === 'number') {
+            window.scrollTo(0, state.scrollY);
+        }
+    }
+    
+    function persist() {
+        try {
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify(snapshot()));
+        } catch (e) {
+            // Storage full or unavailable; nothing to keep
+        }
+    }
+    
+    // Read and clear the persisted snapshot if it belongs to this URL
+    function takePersisted() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+            sessionStorage.removeItem(STORAGE_KEY);
+            
+            return saved && saved.url === currentUrl() ? saved : null;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    /**
+     * Form values by form, keyed by field name (or #id)
+     */
+    function captureForms() {
+        return Array.from(document.querySelectorAll('form')).map(form => {
+            const data = {
+                id: form.id || null,
+                selector: getUniqueSelector(form),
+                values: {},
+                checkedRadios: {},
+                checkedCheckboxes: {},
+                selects: {},
+                textareas: {}
+            };
+            
+            const fieldKey = field => field.name || (field.id ? `#${field.id}` : null);
+            
+            form.querySelectorAll(`input${SKIPPED_INPUTS}`).forEach(input => {
+                const key = fieldKey(input);
+                if (key) data.values[key] = input.value;
+            });
+            
+            form.querySelectorAll('input[type="radio"]:checked').forEach(radio => {
+                if (radio.name) data.checkedRadios[radio.name] = radio.value;
+            });
+            
+            form.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                const key = fieldKey(checkbox);
+                if (key) data.checkedCheckboxes[key] = checkbox.checked;
+            });
+            
+            form.querySelectorAll('select').forEach(select => {
+                const key = fieldKey(select);
+                if (!key) return;
+                
+                data.selects[key] = select.multiple
+                    ? Array.from(select.selectedOptions).map(option => option.value)
+                    : select.value;
+            });
+            
+            form.querySelectorAll('textarea').forEach(textarea => {
+                const key = fieldKey(textarea);
+                if (key) data.textareas[key] = textarea.value;
+            });
+            
+            return data;
+        });
+    }
     
-    // Load language file asynchronously
-function loadLanguage(langCode) {
-    // If we already have this language loaded or are currently loading it
-    if (pendingLanguageLoads.has(langCode)) {
-        return pendingLanguageLoads.get(langCode);
+    function restoreForms(formData) {
+        if (!formData || !formData.length) return;
+        
+        formData.forEach(data => {
+            const form = data.id ? document.getElementById(data.id) : document.querySelector(data.selector);
+            if (!form) return;
+            
+            const findField = name => name.startsWith('#')
+                ? document.getElementById(name.substring(1))
+                : form.querySelector(`[name="${name}"]`);
+            
+            Object.entries(data.values || {}).forEach(([name, value]) => {
+                const input = findField(name);
+                if (input) input.value = value;
+            });
+            
+            Object.entries(data.checkedRadios || {}).forEach(([name, value]) => {
+                const radio = form.querySelector(`[name="${name}"][value="${value}"]`);
+                if (radio) radio.checked = true;
+            });
+            
+            Object.entries(data.checkedCheckboxes || {}).forEach(([name, checked]) => {
+                const checkbox = findField(name);
+                if (checkbox) checkbox.checked = checked;
+            });
+            
+            Object.entries(data.selects || {}).forEach(([name, value]) => {
+                const select = findField(name);
+                if (!select) return;
+                
+                if (Array.isArray(value)) {
+                    Array.from(select.options).forEach(option => {
+                        option.selected = value.includes(option.value);
+                    });
+                } else {
+                    select.value = value;
+                }
+            });
+            
+            Object.entries(data.textareas || {}).forEach(([name, value]) => {
+                const textarea = findField(name);
+                if (textarea) textarea.value = value;
+            });
+        });
     }
     
-    // If we already have this language cached
-    if (defaultStrings[langCode]) {
-        return Promise.resolve(defaultStrings[langCode]);
-    }
+    // Built-in serializers for plain DOM state; components with their own
+    // logic (tabs, sliders) register theirs in their init
+    register('forms', { capture: captureForms, restore: restoreForms });
     
-    // Create a promise to load the language
-    const langPromise = new Promise((resolve, reject) => {
-        // Instead of fetching a JSON file, we should handle languages via
-        // the HTML files that contain hardcoded translations
+    register('activeElements', {
+        capture: () => Array.from(document.querySelectorAll('a.active, [aria-current="page"], .nav-link.active'))
+            .map(el => ({
+                selector: getUniqueSelector(el),
+                ariaCurrent: el.getAttribute('aria-current')
+            })),
         
-        // We'll resolve with the default strings, since the actual content
-        // loading will happen through fetchLanguageContent
-        const langStrings = { ...defaultStrings.en };
-        defaultStrings[langCode] = langStrings;
-        pendingLanguageLoads.delete(langCode);
-        resolve(langStrings);
+        restore: activeElements => (activeElements || []).forEach(data => {
+            const element = data.selector && document.querySelector(data.selector);
+            if (!element) return;
+            
+            element.classList.add('active');
+            if (data.ariaCurrent) element.setAttribute('aria-current', data.ariaCurrent);
+        })
     });
     
-    pendingLanguageLoads.set(langCode, langPromise);
-    return langPromise;
-}
+    register('videos', {
+        capture: () => Array.from(document.querySelectorAll('video'))
+            .map(video => ({
+                selector: getUniqueSelector(video),
+                currentTime: video.currentTime,
+                volume: video.volume,
+                muted: video.muted
+            })),
+        
+        // Position and volume only; playback is left to the visitor
+        restore: videos => (videos || []).forEach(data => {
+            const video = data.selector && document.querySelector(data.selector);
+            if (!video) return;
+            
+            video.currentTime = data.currentTime;
+            video.volume = data.volume;
+            video.muted = data.muted;
+        })
+    });
     
-    // Get string with optional substitutions
-    function getString(key, substitutions = {}) {
-        let text = strings[key] || defaultStrings.en[key] || key;
+    function init() {
+        if (isInitialized) return;
+        isInitialized = true;
         
-        // Handle substitutions
-        if (Object.keys(substitutions).length > 0) {
-            Object.entries(substitutions).forEach(([placeholder, value]) => {
-                text = text.replace(new RegExp(`{${placeholder}}`, 'g'), value);
-            });
-        }
+        window.addEventListener('pagehide', persist);
+        
+        // A page restored from the back/forward cache still has its DOM,
+        // so the stored copy is stale
+        window.addEventListener('pageshow', (event) => {
+            if (event.persisted) takePersisted();
+        });
         
-        return text;
+        const saved = takePersisted();
+        if (saved) restore(saved);
     }
     
-    // Initialize strings from inline script
-    const scriptSelector = 'script[data-language-strings]';
-    const stringsScript = document.querySelector(scriptSelector);
-    
-    if (stringsScript) {
-        try {
-            const scriptStrings = JSON.parse(stringsScript.textContent);
-            
-            // Merge with default strings
-            Object.entries(scriptStrings).forEach(([lang, langStrings]) => {
-                defaultStrings[lang] = { ...defaultStrings[lang] || {}, ...langStrings };
-            });
-            
-            // Set current language strings
-            strings = defaultStrings[currentLang] || defaultStrings.en;
-        } catch (e) {
-            console.error('Error parsing language strings:', e);
-        }
+    return {
+        init,
+        register,
+        unregister,
+        snapshot,
+        restore,
+        persist
+    };
+})();
+
+/**
+ * =========================================================
+ * PAGE CACHE MODULE
+ * =========================================================
+ */
+
+/**
+ * Small stale-while-revalidate store for HTML documents, used to make
+ * language switches instant. Entries live in memory and in Cache Storage
+ * (both capped at MAX_ENTRIES, oldest out first) and are revalidated with
+ * their ETag / Last-Modified validators.
+ */
+const PageCache = (function() {
+    // Versioned like the service worker's caches, which share this one
+    const getCacheName = () => `iaa-pages-v${CONFIG.version}`;
+    const MAX_ENTRIES = 8;
+    const FRESH_FOR = 60 * 1000; // Don't revalidate entries younger than this
+    const FETCH_TIMEOUT = 15000;
+    
+    // url → { html, etag, lastModified, storedAt }, in least-recently-used order
+    const memory = new Map();
+    const inflight = new Map();
+    
+    function normalize(url) {
+        const parsed = new URL(url, window.location.href);
+        parsed.hash = '';
+        return parsed.href;
     }
     
-    // Return the public API
-    return {
-        get: getString,
-        
-        getLanguage: function() {
-            return currentLang;
-        },
+    function remember(url, entry) {
+        memory.delete(url);
+        memory.set(url, entry);
         
-        setLanguage: function(langCode) {
-    if (!langCode || typeof langCode !== 'string') {
-        return Promise.reject(new Error('Invalid language code'));
+        while (memory.size > MAX_ENTRIES) {
+            memory.delete(memory.keys().next().value);
+        }
     }
     
-    // Find if language is supported
-    const langSupported = CONFIG.supportedLanguages.some(lang => lang.code === langCode);
-    
-    if (!langSupported) {
-        return Promise.reject(new Error(`Language ${langCode} is not supported`));
+    function openStore() {
+        if (typeof caches === 'undefined') return Promise.resolve(null);
+        return caches.open(getCacheName()).catch(() => null);
     }
     
-    // Update language without loading JSON files
-    currentLang = langCode;
-    strings = defaultStrings[langCode] || defaultStrings.en];
+    function readStored(url) {
+        return openStore()
+            .then(store => store && store.match(url))
+            .then(response => {
+                if (!response) return null;
+                
+                return response.text().then(html => ({
+                    html,
+                    etag: response.headers.get('ETag'),
+                    lastModified: response.headers.get('Last-Modified'),
+                    storedAt: Number(response.headers.get('X-Stored-At')) || 0
+                }));
+            })
+            .catch(() => null);
+    }
     
-    // Update HTML lang attribute
-    document.documentElement.lang = langCode;
+    function writeStored(url, entry) {
+        return openStore()
+            .then(store => {
+                if (!store) return;
+                
+                const headers = {
+                    'Content-Type': 'text/html; charset=utf-8',
+                    'X-Stored-At': String(entry.storedAt)
+                };
+                if (entry.etag) headers['ETag'] = entry.etag;
+                if (entry.lastModified) headers['Last-Modified'] = entry.lastModified;
+                
+                // Keys come back oldest first
+                return store.put(url, new Response(entry.html, { headers }))
+                    .then(() => store.keys())
+                    .then(keys => Promise.all(
+                        keys.slice(0, Math.max(0, keys.length - MAX_ENTRIES)).map(key => store.delete(key))
+                    ));
+            })
+            .catch(() => {});
+    }
     
-    // Update text direction if needed
-    const langInfo = CONFIG.supportedLanguages.find(lang => lang.code === langCode);
-    if (langInfo && langInfo.dir) {
-        document.documentElement.dir = langInfo.dir;
+    // Memory first, then Cache Storage
+    function lookup(url) {
+        if (memory.has(url)) {
+            const entry = memory.get(url);
+            remember(url, entry);
+            return Promise.resolve(entry);
+        }
+        
+        return readStored(url).then(entry => {
+            if (entry) remember(url, entry);
+            return entry;
+        });
     }
     
-    // Dispatch event for other components
-    document.dispatchEvent(new CustomEvent('languageChanged', { 
-        detail: { language: langCode }
-    }));
+    function store(url, entry) {
+        remember(url, entry);
+        writeStored(url, entry);
+        return entry;
+    }
     
-    return Promise.resolve(strings);
-},
+    /**
+     * Fetch a document, sending the cached validators so an unchanged
+     * page comes back as a cheap 304
+     */
+    function revalidate(url, cached, headers = {}) {
+        if (inflight.has(url)) return inflight.get(url);
         
-        getAllLanguages: function() {
-            return CONFIG.supportedLanguages;
-        },
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+        const requestHeaders = { 'Accept': 'text/html', ...headers };
         
-        translateElement: function(element) {
-            if (!element) return;
-            
-            // Translate element with data-i18n attribute
-            const key = element.getAttribute('data-i18n');
-            if (key) {
-                // Check for placeholders
-                const placeholders = {};
-                Array.from(element.attributes)
-                    .filter(attr => attr.name.startsWith('data-i18n-param-'))
-                    .forEach(attr => {
-                        const param = attr.name.replace('data-i18n-param-', '');
-                        placeholders[param] = attr.value;
-                    });
+        if (cached && cached.etag) requestHeaders['If-None-Match'] = cached.etag;
+        if (cached && cached.lastModified) requestHeaders['If-Modified-Since'] = cached.lastModified;
+        
+        const request = fetch(url, { signal: controller.signal, headers: requestHeaders, cache: 'no-cache' })
+            .then(response => {
+                if (response.status === 304 && cached) {
+                    return store(url, { ...cached, storedAt: Date.now() });
+                }
                 
-                element.textContent = getString(key, placeholders);
-            }
-            
-            // Handle placeholder attribute if present
-            if (element.hasAttribute('data-i18n-placeholder')) {
-                const placeholderKey = element.getAttribute('data-i18n-placeholder');
-                element.setAttribute('placeholder', getString(placeholderKey));
+                if (!response.ok) {
+                    throw new Error(`Network response was not ok: ${response.status} ${response.statusText}`);
+                }
+                
+                // Check content type to ensure we're getting HTML
+                const contentType = response.headers.get('content-type');
+                if (!contentType || !contentType.includes('text/html')) {
+                    throw new Error(`Expected HTML but got ${contentType}`);
+                }
+                
+                return response.text().then(html => {
+                    const entry = store(url, {
+                        html,
+                        etag: response.headers.get('ETag'),
+                        lastModified: response.headers.get('Last-Modified'),
+                        storedAt: Date.now()
+                    });
+                    
+                    if (cached && cached.html !== html) {
+                        document.dispatchEvent(new CustomEvent('pageCacheUpdated', { detail: { url } }));
+                    }
+                    
+                    return entry;
+                });
+            })
+            .catch(error => {
+                if (error.name === 'AbortError') {
+                    throw new Error('The request timed out. Please check your internet connection and try again.');
+                }
+                throw error;
+            })
+            .finally(() => {
+                clearTimeout(timeoutId);
+                inflight.delete(url);
+            });
+        
+        inflight.set(url, request);
+        return request;
+    }
+    
+    /**
+     * Resolve with a document's HTML: from the cache when there is a copy
+     * (refreshing it in the background), otherwise from the network
+     */
+    function load(url, { headers } = {}) {
+        const key = normalize(url);
+        
+        return lookup(key).then(cached => {
+            if (!cached) {
+                return revalidate(key, null, headers).then(entry => entry.html);
             }
             
-            // Handle title attribute if present
-            if (element.hasAttribute('data-i18n-title')) {
-                const titleKey = element.getAttribute('data-i18n-title');
-                element.setAttribute('title', getString(titleKey));
+            if (Date.now() - cached.storedAt > FRESH_FOR) {
+                revalidate(key, cached, headers).catch(error => {
+                    console.warn(`Could not refresh ${key}:`, error.message);
+                });
             }
             
-            // Handle aria-label attribute if present
-            if (element.hasAttribute('data-i18n-aria-label')) {
-                const ariaLabelKey = element.getAttribute('data-i18n-aria-label');
-                element.setAttribute('aria-label', getString(ariaLabelKey));
-            }
+            return cached.html;
+        });
+    }
+    
+    /**
+     * Warm the cache for a same-origin document; failures are ignored
+     */
+    function prefetch(url, { headers } = {}) {
+        const key = normalize(url);
+        if (new URL(key).origin !== window.location.origin) return Promise.resolve(null);
+        
+        return lookup(key)
+            .then(cached => (cached && Date.now() - cached.storedAt < FRESH_FOR)
+                ? cached
+                : revalidate(key, cached, headers))
+            .catch(() => null);
+    }
+    
+    return {
+        load,
+        prefetch,
+        
+        has: function(url) {
+            return memory.has(normalize(url));
         },
         
-        // Translate all elements with data-i18n attributes
-        translatePage: function() {
-            document.querySelectorAll('[data-i18n], [data-i18n-placeholder], [data-i18n-title], [data-i18n-aria-label]')
-                .forEach(element => this.translateElement(element));
-            
-            // Update any dynamic content based on the loaded language
-            document.dispatchEvent(new CustomEvent('translate', { 
-                detail: { language: currentLang }
-            }));
+        clear: function() {
+            memory.clear();
+            return typeof caches !== 'undefined' ? caches.delete(getCacheName()) : Promise.resolve(false);
         }
     };
 })();
 
+/**
+ * =========================================================
+ * OFFLINE SUPPORT MODULE
+ * =========================================================
+ */
+
 /**
  * Media and device utilities
  */
@@ -1043,7 +3536,58 @@ const MediaUtil = (function() {
         return mediaQuery;
     }
     
+    // Listeners notified when <html dir> flips between ltr and rtl
+    const directionListeners = new Set();
+    let directionObserver = null;
+    
+    function isRTL() {
+        const root = document.documentElement;
+        const dir = root.getAttribute('dir');
+        
+        if (dir) return dir.toLowerCase() === 'rtl';
+        
+        return window.getComputedStyle(root).direction === 'rtl';
+    }
+    
+    /**
+     * Subscribe to text direction changes. The language switcher sets
+     * `dir` from CONFIG.supportedLanguages, so watching the attribute
+     * covers every code path that changes language.
+     */
+    function onDirectionChange(callback) {
+        directionListeners.add(callback);
+        
+        if (!directionObserver && typeof MutationObserver !== 'undefined') {
+            let wasRTL = isRTL();
+            
+            directionObserver = new MutationObserver(() => {
+                const rtl = isRTL();
+                if (rtl === wasRTL) return;
+                
+                wasRTL = rtl;
+                directionListeners.forEach(listener => {
+                    try {
+                        listener(rtl);
+                    } catch (e) {
+                        console.error('Direction listener failed:', e);
+                    }
+                });
+            });
+            
+            directionObserver.observe(document.documentElement, {
+                attributes: true,
+                attributeFilter: ['dir']
+            });
+        }
+        
+        return () => directionListeners.delete(callback);
+    }
+    
     return {
+        isRTL,
+        
+        onDirectionChange,
+        
         prefersReducedMotion: function() {
             if (!mediaQueryCache.has('reducedMotion')) {
                 const prefersReduced = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
@@ -1393,9 +3937,10 @@ const Theme = (function() {
         // Update toggle buttons
         updateToggleButtons(isDark);
         
-        // Save theme preference if requested
+        // Save theme preference if requested, and let other tabs follow
         if (updateStorage) {
             StorageUtil.set(THEME_STORAGE_KEY, theme);
+            SyncBus.publish('theme', theme);
         }
         
         // Dispatch theme change event
@@ -1512,6 +4057,12 @@ const Theme = (function() {
             
             applyTheme(getPreferredTheme());
             setupListeners();
+            
+            // Another tab already stored the theme; just apply it here
+            SyncBus.subscribe('theme', theme => {
+                if (theme !== currentTheme) applyTheme(theme, false);
+            });
+            
             hasInitialized = true;
         },
         
@@ -1545,6 +4096,15 @@ const Header = (function() {
     let headerHeight = 0;
     let isInitialized = false;
     
+    // Sent with every language document request, prefetches included
+    const LANGUAGE_REQUEST_HEADERS = {
+        'X-Requested-With': 'XMLHttpRequest',
+        'X-Language-Switch': 'true' // Custom header to identify language switch requests
+    };
+    
+    // Only show the loader if the document isn't ready by then
+    const LOADER_DELAY = 150;
+    
     // Handle scroll effects for the header
     function handleScroll() {
         const header = document.getElementById('header');
@@ -1572,6 +4132,11 @@ const Header = (function() {
         }
     }
     
+    // Off-screen position of the mobile menu, mirrored for RTL languages
+    function getClosedMenuTransform() {
+        return MediaUtil.isRTL() ? 'translateX(100%)' : 'translateX(-100%)';
+    }
+    
     // Toggle mobile menu visibility
     function toggleMobileMenu(forceClose = false) {
         const mobileMenu = document.getElementById('mobile-menu');
@@ -1616,6 +4181,9 @@ const Header = (function() {
                 newOverlay.addEventListener('click', () => toggleMobileMenu(true));
             }
             
+            // Start off-screen on the inline-start side so RTL slides in from the right
+            mobileMenu.style.transform = getClosedMenuTransform();
+            
             // Show menu with animation
             mobileMenu.classList.remove('hidden');
             
@@ -1633,7 +4201,7 @@ const Header = (function() {
             Accessibility.activate(mobileMenu, menuBtn, () => toggleMobileMenu(true));
         } else {
             // Hide menu with animation
-            mobileMenu.style.transform = 'translateX(-100%)';
+            mobileMenu.style.transform = getClosedMenuTransform();
             mobileMenu.style.opacity = '0';
             
             // Return normal scrolling
@@ -1707,256 +4275,88 @@ const Header = (function() {
             });
         });
         
-        // Handle language selection with enhanced AJAX content loading
+        // Language links navigate through the router, which swaps the page
         document.querySelectorAll('#lang-menu a, #mobile-lang-menu a').forEach(link => {
             if (!link) return;
             
             link.addEventListener('click', function(e) {
-    e.preventDefault(); // Prevent default navigation
-    
-    // Get the language code
-    const langCode = this.getAttribute('hreflang') || this.getAttribute('lang');
-    if (!langCode) {
-        console.error('Language link missing hreflang or lang attribute');
-        return;
-    }
-    
-    // Check if already on this language
-    if (document.documentElement.lang === langCode) {
-        // Close the language menu
-        closeLanguageMenus();
-        return;
-    }
-    
-    // Save current page state
-    const pageState = capturePageState();
-    
-    // Construct the new URL with the selected language
-    const currentUrl = window.location.pathname;
-    let newUrl = currentUrl.replace(/\/[a-z]{2}\//, `/${langCode}/`);
-    if (!newUrl.includes(`/${langCode}/`)) {
-        // If no language code in URL, add it
-        newUrl = `/${langCode}${currentUrl}`;
+                e.preventDefault(); // Prevent default navigation
+                
+                // Get the language code
+                const langCode = this.getAttribute('hreflang') || this.getAttribute('lang');
+                if (!langCode) {
+                    console.error('Language link missing hreflang or lang attribute');
+                    return;
+                }
+                
+                // Check if already on this language
+                if (document.documentElement.lang === langCode) {
+                    closeLanguageMenus();
+                    return;
+                }
+                
+                // Remember the choice, and switch other open tabs along with this one
+                Locale.remember(langCode);
+                SyncBus.publish('language', langCode);
+                
+                // Same page in the new language, keeping query, hash and scroll position
+                const newUrl = Locale.localizePath(window.location.pathname, langCode) +
+                    window.location.search + window.location.hash;
+                
+                Router.navigate(newUrl, { scroll: false });
+            });
+        });
+        
+        setupLanguagePrefetch();
     }
     
-    // Maintain hash and query parameters if present
-    let queryAndHash = '';
-    if (window.location.search) {
-        queryAndHash += window.location.search;
-    }
-    if (window.location.hash) {
-        queryAndHash += window.location.hash;
+    /**
+     * Same-origin alternate-language documents listed in the head
+     */
+    function getAlternateDocuments() {
+        return Array.from(document.querySelectorAll('link[rel="alternate"][hreflang]'))
+            .map(link => ({ lang: link.getAttribute('hreflang'), url: link.href }))
+            .filter(({ lang, url }) => lang !== 'x-default' &&
+                lang !== document.documentElement.lang &&
+                new URL(url, window.location.href).origin === window.location.origin);
     }
-    newUrl += queryAndHash;
-    
-    // Update URL without reloading page
-    try {
-        window.history.pushState({ 
-            scrollY: pageState.scrollPosition, 
-            language: langCode
-        }, '', newUrl);
-    } catch (e) {
-        console.warn('History API not supported, falling back to URL replacement');
-        window.location.href = newUrl;
-        return;
-    }
-    
-    // Update the lang attribute on the HTML element
-    document.documentElement.lang = langCode;
-    
-    // Update displayed language in the UI
-    document.querySelectorAll('.lang-text').forEach(el => {
-        el.textContent = langCode.toUpperCase();
-    });
     
-    // Update any language flags or indicators
-    document.querySelectorAll('.lang-flag').forEach(flag => {
-        const newFlag = CONFIG.supportedLanguages.find(lang => lang.code === langCode)?.flag || '';
-        if (newFlag) flag.textContent = newFlag;
-    });
-    
-    // Close the language menu
-    closeLanguageMenus();
-    
-    // Show loading indicator with improved positioning
-    const loader = createLoader();
-    loader.setAttribute('aria-label', I18n.get('loading'));
-    loader.setAttribute('role', 'status');
-    
-    // Add a translucent overlay for a better UX during lengthy loads
-    const overlay = createOverlay();
-    
-    // Start loading with a minimum display time to prevent flickering for fast connections
-    const loadStartTime = Date.now();
-    
-    // Skip the I18n.setLanguage call that's failing and directly fetch content
-    // Use a direct fetch approach that doesn't rely on JSON files
-    
-    // Set up a timeout fallback in case the fetch takes too long
-    const fallbackTimeout = setTimeout(() => {
-        console.warn("Language loading taking too long, falling back to direct navigation");
-        window.location.href = `/${langCode}/`;
-    }, 10000); // 10 second timeout
-    
-    // Directly fetch the HTML content from the language directory
-    fetch(`/${langCode}/`, {
-        headers: {
-            'X-Requested-With': 'XMLHttpRequest',
-            'Accept': 'text/html',
-            'X-Language-Switch': 'true'
-        },
-        cache: 'no-store'
-    })
-    .then(response => {
-        clearTimeout(fallbackTimeout);
-        
-        if (!response.ok) {
-            throw new Error(`Network response was not ok: ${response.status}`);
-        }
-        
-        return response.text();
-    })
-    .then(html => {
-        // Parse HTML
-        const parser = new DOMParser();
-        const newDoc = parser.parseFromString(html, 'text/html');
-        
-        // Update content
-        const currentMain = document.querySelector('main');
-        const newMain = newDoc.querySelector('main');
-        
-        if (currentMain && newMain) {
-            currentMain.innerHTML = newMain.innerHTML;
-        }
-        
-        // Update document title
-        document.title = newDoc.title;
-        
-        // Ensure proper directionality
-        const langInfo = CONFIG.supportedLanguages.find(lang => lang.code === langCode);
-        if (langInfo && langInfo.dir) {
-            document.documentElement.dir = langInfo.dir;
-        }
-        
-        // Ensure the loader stays visible for at least 300ms for better UX
-        const elapsedTime = Date.now() - loadStartTime;
-        const minDisplayTime = 300;
-        
-        if (elapsedTime < minDisplayTime) {
-            return new Promise(resolve => {
-                setTimeout(resolve, minDisplayTime - elapsedTime);
+    function prefetchLanguage(langCode) {
+        // Bound pages switch from the language pack alone
+        if (I18n.isPageBound()) {
+            const codes = langCode ? [langCode] : getAlternateDocuments().map(alternate => alternate.lang);
+            codes.filter(Locale.isSupported).forEach(code => {
+                I18n.loadLanguage(code).catch(() => {});
             });
+            return;
         }
-    })
-    .then(() => {
-        // Remove loader and overlay with fade-out animation
-        loader.classList.add('fade-out');
-        overlay.classList.add('fade-out');
-        
-        setTimeout(() => {
-            loader.remove();
-            overlay.remove();
-            
-            // Reinitialize any necessary components
-            if (typeof initWebsite === 'function') {
-                initWebsite();
-            }
-            
-            // Announce language change to screen readers
-            const langName = CONFIG.supportedLanguages.find(l => l.code === langCode)?.name || langCode;
-            Accessibility.announce(`Switched to ${langName}`);
-        }, 300);
-    })
-    .catch(error => {
-        clearTimeout(fallbackTimeout);
-        console.error('Language switching failed:', error);
-        
-        // Remove loader and overlay with fade-out
-        loader.classList.add('fade-out');
-        overlay.classList.add('fade-out');
-        
-        setTimeout(() => {
-            loader.remove();
-            overlay.remove();
-            
-            // Instead of showing error message, just navigate directly
-            window.location.href = `/${langCode}/`;
-        }, 300);
-    });
-    
-    console.log(`Language switching initiated: ${langCode}, preserving page state`);
-});
-        });
         
-        // Add dedicated listener for popstate to handle browser back/forward navigation
-        window.addEventListener('popstate', function(event) {
-            if (event.state) {
-                // Handle language change if URL contains language code
-                const urlLangMatch = window.location.pathname.match(/\/([a-z]{2})\//);
-                if (urlLangMatch && urlLangMatch[1]) {
-                    const langCode = urlLangMatch[1];
-                    
-                    // Only reload if language actually changed
-                    if (document.documentElement.lang !== langCode) {
-                        // Create state object to preserve scroll
-                        const pageState = {
-                            scrollPosition: event.state.scrollY || 0,
-                            formData: captureFormData(),
-                            activeElements: captureActiveElements(),
-                            expandedElements: captureExpandedElements(),
-                            tabStates: captureTabStates()
-                        };
-                        
-                        // Show loading indicator
-                        const loader = createLoader();
-                        const overlay = createOverlay();
-                        
-                        // Update language using I18n module
-                        I18n.setLanguage(langCode)
-                            .then(() => {
-                                // Apply translations
-                                I18n.translatePage();
-                                
-                                // Fetch content for the language in the URL
-                                return fetchLanguageContent(window.location.href, langCode, pageState);
-                            })
-                            .then(() => {
-                                // Hide and remove loader with animation
-                                loader.classList.add('fade-out');
-                                overlay.classList.add('fade-out');
-                                
-                                setTimeout(() => {
-                                    loader.remove();
-                                    overlay.remove();
-                                }, 300);
-                            })
-                            .catch(error => {
-                                console.error('Language switching failed during navigation:', error);
-                                
-                                // Hide loader and show error
-                                loader.classList.add('fade-out');
-                                overlay.classList.add('fade-out');
-                                
-                                setTimeout(() => {
-                                    loader.remove();
-                                    overlay.remove();
-                                    showLanguageSwitchError(langCode);
-                                }, 300);
-                            });
-                    } else {
-                        // Just restore scroll position if language didn't change
-                        if (typeof event.state.scrollY === 'number') {
-                            window.scrollTo(0, event.state.scrollY);
-                        }
-                    }
-                } else {
-                    // Regular navigation, restore scroll position
-                    if (typeof event.state.scrollY === 'number') {
-                        window.scrollTo(0, event.state.scrollY);
-                    }
-                }
-            }
+        getAlternateDocuments()
+            .filter(alternate => !langCode || alternate.lang === langCode)
+            .forEach(({ url }) => PageCache.prefetch(url, { headers: LANGUAGE_REQUEST_HEADERS }));
+    }
+    
+    /**
+     * Warm the page cache (or the language packs, on bound pages) so
+     * switching language doesn't wait on the network: on hover/focus for
+     * the hinted language, and for all of them once the page is idle.
+     * Skipped on data-saver and 2G connections.
+     */
+    function setupLanguagePrefetch() {
+        const connection = navigator.connection;
+        if (connection && (connection.saveData || /2g/.test(connection.effectiveType || ''))) return;
+        
+        document.querySelectorAll('#lang-menu a, #mobile-lang-menu a').forEach(link => {
+            const langCode = link.getAttribute('hreflang') || link.getAttribute('lang');
+            if (!langCode) return;
+            
+            ['pointerenter', 'focus', 'touchstart'].forEach(type => {
+                link.addEventListener(type, () => prefetchLanguage(langCode), { passive: true, once: true });
+            });
         });
+        
+        const whenIdle = window.requestIdleCallback || (callback => setTimeout(callback, 2000));
+        whenIdle(() => prefetchLanguage());
     }
     
     /**
@@ -2104,447 +4504,146 @@ const Header = (function() {
         return overlay;
     }
     
-/**
- * Show improved error message when language switching fails
- */
-function showLanguageSwitchError(langCode) {
-    // Get language name
-    const langName = CONFIG.supportedLanguages.find(lang => lang.code === langCode)?.name || langCode;
-    
-    // Create error message container
-    const messageContainer = document.createElement('div');
-    messageContainer.classList.add('language-error-message');
-    messageContainer.setAttribute('role', 'alert');
-    
-    // Create error content with more helpful information
-    messageContainer.innerHTML = `
-        <div class="text-red-600 dark:text-red-400 text-xl mb-2">
-            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="inline-block mr-2">
-                <circle cx="12" cy="12" r="10"></circle>
-                <line x1="12" y1="8" x2="12" y2="12"></line>
-                <line x1="12" y1="16" x2="12.01" y2="16"></line>
-            </svg>
-            ${I18n.get('errorTitle')}
-        </div>
-        <p class="mb-4">${I18n.get('languageLoadError').replace('{language}', langName)}</p>
-        <p class="mb-4">Try refreshing the page or using the direct URL: /${langCode}/</p>
-        <div class="flex justify-center gap-2">
-            <button id="language-error-direct-link" class="px-4 py-2 bg-primary-600 text-white rounded hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2">
-                Go to ${langName} Version
-            </button>
-            <button id="language-error-close" class="px-4 py-2 bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-white rounded hover:bg-gray-300 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2">
-                ${I18n.get('close')}
-            </button>
-        </div>
-    `;
-    
-    // Add to DOM
-    document.body.appendChild(messageContainer);
-    
-    // Add to modal management for screen readers
-    Accessibility.announce(I18n.get('languageLoadError', { language: langName }), true);
-    
-    // Handle buttons
-    const directLinkBtn = document.getElementById('language-error-direct-link');
-    const closeBtn = document.getElementById('language-error-close');
-    
-    if (directLinkBtn) {
-        directLinkBtn.addEventListener('click', () => {
-            // Navigate directly to the language version
-            window.location.href = `/${langCode}/`;
-        });
-    }
-    
-    if (closeBtn) {
-        closeBtn.addEventListener('click', () => {
-            messageContainer.remove();
-        });
-    }
-    
-    // Add keyboard handling
-    messageContainer.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-            messageContainer.remove();
-        }
-    });
-    
-    // Auto-close after 10 seconds
-    setTimeout(() => {
-        if (document.body.contains(messageContainer)) {
-            messageContainer.style.opacity = '0';
-            messageContainer.style.transform = 'translate(-50%, -20px)';
-            messageContainer.style.transition = 'opacity 0.3s, transform 0.3s';
-            
-            setTimeout(() => {
-                if (document.body.contains(messageContainer)) {
-                    messageContainer.remove();
-                }
-            }, 300);
-        }
-    }, 10000);
-}
-    
     /**
-     * Capture current page state before language switch
+     * Switch the page to another language. Bound pages re-render in place
+     * from the language pack; others fetch the language's document. The
+     * router calls this once the URL already points at the new language;
+     * a rejection makes it fall back to a full page load.
      */
-    function capturePageState() {
-        return {
-            scrollPosition: window.scrollY,
-            formData: captureFormData(),
-            activeElements: captureActiveElements(),
-            expandedElements: captureExpandedElements(),
-            tabStates: captureTabStates(),
-            modalStates: captureModalStates(),
-            videoStates: captureVideoStates(),
-            sliderPositions: captureSliderPositions()
+    function switchLanguage(langCode, url = Locale.localizePath(window.location.pathname, langCode)) {
+        if (document.documentElement.lang === langCode) return Promise.resolve();
+        
+        if (I18n.isPageBound()) {
+            return switchLanguageInPlace(langCode);
+        }
+        
+        // Save current page state
+        const pageState = PageState.snapshot();
+        
+        updateLanguageIndicators(langCode);
+        closeLanguageMenus();
+        
+        // Cached documents render straight away, so only show the loader
+        // with a translucent overlay when we're actually waiting
+        let loader = null;
+        let overlay = null;
+        const loaderTimer = setTimeout(() => {
+            loader = createLoader();
+            loader.setAttribute('aria-label', I18n.get('loading'));
+            loader.setAttribute('role', 'status');
+            overlay = createOverlay();
+        }, LOADER_DELAY);
+        
+        const hideLoader = () => {
+            clearTimeout(loaderTimer);
+            if (loader) loader.remove();
+            if (overlay) overlay.remove();
         };
+        
+        return fetchLanguageContent(url)
+            .then(newDoc => Router.transition(() => {
+                hideLoader();
+                
+                // Ensure proper directionality
+                const langInfo = CONFIG.supportedLanguages.find(lang => lang.code === langCode);
+                document.documentElement.lang = langCode;
+                document.documentElement.dir = (langInfo && langInfo.dir) || 'ltr';
+                
+                updateDocumentMetadata(newDoc);
+                updatePageContent(newDoc);
+                
+                // Put back form input, tabs, sliders and the scroll position
+                PageState.restore(pageState);
+            }))
+            .then(() => I18n.setLanguage(langCode).catch(error => {
+                console.warn('Could not load language strings:', error.message);
+            }))
+            .then(() => announceLanguage(langCode))
+            .catch(error => {
+                hideLoader();
+                updateLanguageIndicators(document.documentElement.lang);
+                
+                console.error('Language switching failed:', error);
+                throw error;
+            });
     }
     
     /**
-     * Capture form data from all forms on the page
+     * Re-render a data-i18n-bound page from the language pack. Nothing is
+     * replaced, so form input, tabs and the scroll position stay as they are.
      */
-    function captureFormData() {
-        const forms = document.querySelectorAll('form');
-        const formData = [];
+    function switchLanguageInPlace(langCode) {
+        updateLanguageIndicators(langCode);
+        closeLanguageMenus();
         
-        forms.forEach(form => {
-            const data = {
-                id: form.id || null,
-                selector: getUniqueSelector(form),
-                values: {},
-                checkedRadios: {},
-                checkedCheckboxes: {},
-                fileInputs: {},
-                selects: {},
-                textareas: {}
-            };
-            
-            // Capture text inputs
-            form.querySelectorAll('input:not([type="radio"]):not([type="checkbox"]):not([type="file"])').forEach(input => {
-                if (input.name) {
-                    data.values[input.name] = input.value;
-                } else if (input.id) {
-                    data.values[`#${input.id}`] = input.value;
-                }
-            });
-            
-            // Capture radio buttons
-            form.querySelectorAll('input[type="radio"]:checked').forEach(radio => {
-                if (radio.name) {
-                    data.checkedRadios[radio.name] = radio.value;
-                }
-            });
-            
-            // Capture checkboxes
-            form.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
-                if (checkbox.name) {
-                    data.checkedCheckboxes[checkbox.name] = checkbox.checked;
-                } else if (checkbox.id) {
-                    data.checkedCheckboxes[`#${checkbox.id}`] = checkbox.checked;
-                }
-            });
-            
-            // Capture file inputs (just store if files are selected, can't transfer files)
-            form.querySelectorAll('input[type="file"]').forEach(fileInput => {
-                if (fileInput.name) {
-                    data.fileInputs[fileInput.name] = fileInput.files.length > 0;
-                } else if (fileInput.id) {
-                    data.fileInputs[`#${fileInput.id}`] = fileInput.files.length > 0;
-                }
-            });
-            
-            // Capture select elements
-            form.querySelectorAll('select').forEach(select => {
-                if (select.name) {
-                    if (select.multiple) {
-                        data.selects[select.name] = Array.from(select.selectedOptions).map(option => option.value);
-                    } else {
-                        data.selects[select.name] = select.value;
-                    }
-                } else if (select.id) {
-                    if (select.multiple) {
-                        data.selects[`#${select.id}`] = Array.from(select.selectedOptions).map(option => option.value);
-                    } else {
-                        data.selects[`#${select.id}`] = select.value;
-                    }
-                }
-            });
-            
-            // Capture textareas
-            form.querySelectorAll('textarea').forEach(textarea => {
-                if (textarea.name) {
-                    data.textareas[textarea.name] = textarea.value;
-                } else if (textarea.id) {
-                    data.textareas[`#${textarea.id}`] = textarea.value;
+        return Router.transition(() => I18n.setLanguage(langCode))
+            .then(() => {
+                // Title and meta tags follow their bindings; the canonical URL follows the route
+                const canonical = document.querySelector('link[rel="canonical"]');
+                if (canonical) {
+                    canonical.setAttribute('href', new URL(window.location.pathname, canonical.href).href);
                 }
+                
+                document.querySelectorAll('meta[name="language"], meta[http-equiv="Content-Language"]').forEach(meta => {
+                    meta.setAttribute('content', langCode);
+                });
+                
+                announceLanguage(langCode);
+            })
+            .catch(error => {
+                updateLanguageIndicators(document.documentElement.lang);
+                
+                console.error('Language switching failed:', error);
+                throw error;
             });
-            
-            formData.push(data);
-        });
-        
-        return formData;
-    }
-    
-    /**
-     * Capture active navigation links and tabs
-     */
-    function captureActiveElements() {
-        return Array.from(document.querySelectorAll('a.active, [aria-current="page"], .nav-link.active'))
-            .map(el => ({
-                selector: getUniqueSelector(el),
-                href: el.getAttribute('href'),
-                ariaCurrent: el.getAttribute('aria-current'),
-                dataTab: el.getAttribute('data-tab')
-            }));
     }
     
-    /**
-     * Capture expanded UI elements like accordions and dropdowns
-     */
-    function captureExpandedElements() {
-        return Array.from(document.querySelectorAll('[aria-expanded="true"]'))
-            .map(el => ({
-                selector: getUniqueSelector(el),
-                controls: el.getAttribute('aria-controls')
-            }));
+    // Announce language change to screen readers
+    function announceLanguage(langCode) {
+        const langName = CONFIG.supportedLanguages.find(l => l.code === langCode)?.name || langCode;
+        Accessibility.announce(`Switched to ${langName}`);
     }
     
     /**
-     * Capture state of tab panels
+     * Update the displayed language code and flag in the header
      */
-    function captureTabStates() {
-        const tabContainers = document.querySelectorAll('.tabs-nav, .tab-container');
-        const tabStates = [];
+    function updateLanguageIndicators(langCode) {
+        const newFlag = CONFIG.supportedLanguages.find(lang => lang.code === langCode)?.flag || '';
         
-        tabContainers.forEach(container => {
-            const activeTab = container.querySelector('.tab-btn.active, [role="tab"][aria-selected="true"]');
-            
-            if (activeTab) {
-                tabStates.push({
-                    containerSelector: getUniqueSelector(container),
-                    activeTabSelector: getUniqueSelector(activeTab),
-                    activeTabId: activeTab.id,
-                    activeTabTarget: activeTab.getAttribute('data-target') || activeTab.getAttribute('aria-controls')
-                });
-            }
+        document.querySelectorAll('.lang-text').forEach(el => {
+            el.textContent = langCode.toUpperCase();
         });
         
-        return tabStates;
-    }
-    
-    /**
-     * Capture open modal states
-     */
-    function captureModalStates() {
-        return Array.from(document.querySelectorAll('.modal-container:not(.hidden), [role="dialog"]:not(.hidden)'))
-            .map(modal => ({
-                selector: getUniqueSelector(modal),
-                id: modal.id
-            }));
-    }
-    
-    /**
-     * Capture video player states
-     */
-    function captureVideoStates() {
-        return Array.from(document.querySelectorAll('video'))
-            .map(video => ({
-                selector: getUniqueSelector(video),
-                currentTime: video.currentTime,
-                paused: video.paused,
-                volume: video.volume,
-                muted: video.muted
-            }));
-    }
-
-	/**
-     * Capture slider positions for carousels
-     */
-    function captureSliderPositions() {
-        const sliders = [];
-        
-        // Capture Swiper slider positions
-        document.querySelectorAll('.swiper').forEach(slider => {
-            if (slider.swiper) {
-                sliders.push({
-                    selector: getUniqueSelector(slider),
-                    type: 'swiper',
-                    activeIndex: slider.swiper.activeIndex,
-                    realIndex: slider.swiper.realIndex
-                });
-            }
+        document.querySelectorAll('.lang-flag').forEach(flag => {
+            if (newFlag) flag.textContent = newFlag;
         });
-        
-        return sliders;
     }
     
     /**
-     * Fetch the content for the new language using AJAX
-     */
-    function fetchLanguageContent(url, langCode, pageState) {
-    // Use AbortController for timeout capability
-    const controller = new AbortController();
-    const signal = controller.signal;
-    
-    // Set a timeout for the fetch
-    const timeoutId = setTimeout(() => controller.abort(), 20000); // 20 second timeout
-    
-    // Ensure we're fetching from the correct language folder
-    // Make sure the URL includes the language code
-    let fetchUrl = url;
-    if (!fetchUrl.includes(`/${langCode}/`)) {
-        fetchUrl = `/${langCode}/`;
-    }
-    
-    return fetch(fetchUrl, { 
-        signal,
-        headers: {
-            'X-Requested-With': 'XMLHttpRequest',
-            'Accept': 'text/html',
-            'X-Language-Switch': 'true' // Custom header to identify language switch requests
-        },
-        cache: 'no-store' // Always fetch fresh content
-    })
-    .then(response => {
-        clearTimeout(timeoutId);
-        
-        // Check if the response is successful
-        if (!response.ok) {
-            throw new Error(`Network response was not ok: ${response.status} ${response.statusText}`);
-        }
-        
-        // Check content type to ensure we're getting HTML
-        const contentType = response.headers.get('content-type');
-        if (!contentType || !contentType.includes('text/html')) {
-            throw new Error(`Expected HTML but got ${contentType}`);
-        }
-        
-        return response.text();
-    })
-    .then(html => {
-        // Parse the HTML response
-        const parser = new DOMParser();
-        const newDoc = parser.parseFromString(html, 'text/html');
-        
-        // Validate parsed document
-        if (newDoc.documentElement.querySelector('parsererror')) {
-            throw new Error('Failed to parse the HTML response');
-        }
-        
-        // Update page title and metadata
-        updateDocumentMetadata(newDoc);
-        
-        // Update page content
-        updatePageContent(newDoc, pageState);
-        
-        // Restore scroll position
-        if (pageState.scrollPosition !== undefined) {
-            window.scrollTo(0, pageState.scrollPosition);
-        }
-        
-        // Dispatch a language change event to notify other components
-        const event = new CustomEvent('languageChanged', { 
-            detail: { 
-                language: langCode,
-                previousLanguage: document.documentElement.lang
-            }
-        });
-        document.dispatchEvent(event);
-        
-        // No need to update I18n strings, we're using the full HTML content
-        
-        // Reinitialize components
-        return reinitializeComponentsAfterLanguageChange(newDoc, pageState);
-    })
-    .catch(error => {
-        clearTimeout(timeoutId);
-        
-        // Enhanced error handling
-        if (error.name === 'AbortError') {
-            console.error('Language content fetch timed out');
-            throw new Error('The request timed out. Please check your internet connection and try again.');
-        }
-        
-        // Try fallback approach for browsers without proper fetch support
-        if (typeof XMLHttpRequest !== 'undefined' && error.message.includes('Failed to fetch')) {
-            return fetchWithXHRFallback(url, langCode, pageState);
-        }
-        
-        console.error('Error fetching language content:', error);
-        throw error;
-    });
-}
-    
-    /**
-     * Fallback to XMLHttpRequest for older browsers
+     * Fetch and parse the document for a language URL. A cached copy is
+     * used as-is and refreshed in the background by PageCache.
      */
-    function fetchWithXHRFallback(url, langCode, pageState) {
-        return new Promise((resolve, reject) => {
-            const xhr = new XMLHttpRequest();
-            xhr.open('GET', url, true);
-            xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
-            xhr.setRequestHeader('X-Language-Switch', 'true');
-            xhr.timeout = 20000; // 20 second timeout
-            
-            xhr.onload = function() {
-                if (xhr.status >= 200 && xhr.status < 300) {
-                    const html = xhr.responseText;
-                    
-                    // Parse the HTML response
-                    const parser = new DOMParser();
-                    const newDoc = parser.parseFromString(html, 'text/html');
-                    
-                    // Update page title and metadata
-                    updateDocumentMetadata(newDoc);
-                    
-                    // Update page content
-                    updatePageContent(newDoc, pageState);
-                    
-                    // Restore scroll position
-                    if (pageState.scrollPosition !== undefined) {
-                        window.scrollTo(0, pageState.scrollPosition);
-                    }
-                    
-                    // Dispatch language change event
-                    const event = new CustomEvent('languageChanged', { 
-                        detail: { 
-                            language: langCode,
-                            previousLanguage: document.documentElement.lang
-                        }
-                    });
-                    document.dispatchEvent(event);
-                    
-                    // Update STRINGS object
-                    updateLanguageStrings(newDoc, langCode);
-                    
-                    // Reinitialize components
-                    reinitializeComponentsAfterLanguageChange(newDoc, pageState)
-                        .then(resolve)
-                        .catch(reject);
-                } else {
-                    reject(new Error(`XHR request failed with status ${xhr.status}`));
-                }
-            };
-            
-            xhr.onerror = function() {
-                reject(new Error('Network error occurred during XHR request'));
-            };
+    function fetchLanguageContent(url) {
+        return PageCache.load(url, { headers: LANGUAGE_REQUEST_HEADERS })
+        .then(html => {
+            const newDoc = new DOMParser().parseFromString(html, 'text/html');
             
-            xhr.ontimeout = function() {
-                reject(new Error('XHR request timed out'));
-            };
+            // Validate parsed document
+            if (newDoc.documentElement.querySelector('parsererror')) {
+                throw new Error('Failed to parse the HTML response');
+            }
             
-            xhr.send();
+            return newDoc;
         });
     }
-	
+    
 	// After the language dropdown setup code, you should have or create these helper functions
 // Look for other functions like fetchLanguageContent, createLoader, etc.
 
 /**
  * Update page content based on the new language HTML
  */
-function updatePageContent(newDoc, pageState) {
+function updatePageContent(newDoc) {
     try {
         // Update main content
         const currentMain = document.querySelector('main');
@@ -2584,24 +4683,11 @@ function updatePageContent(newDoc, pageState) {
             currentFooter.innerHTML = newFooter.innerHTML;
         }
         
-        // Restore form data if available
-        if (pageState && pageState.formData) {
-            restoreFormData(pageState.formData);
-        }
-        
-        // Restore active elements if available
-        if (pageState && pageState.activeElements) {
-            restoreActiveElements(pageState.activeElements);
-        }
-        
-        // Restore expanded elements if available
-        if (pageState && pageState.expandedElements) {
-            restoreExpandedElements(pageState.expandedElements);
-        }
-        
-        // Restore tab states if available
-        if (pageState && pageState.tabStates) {
-            restoreTabStates(pageState.tabStates);
+        // Update the proposal, which lives outside <main>
+        const currentProposal = document.getElementById('proposal-view');
+        const newProposal = newDoc.getElementById('proposal-view');
+        if (currentProposal && newProposal) {
+            currentProposal.innerHTML = newProposal.innerHTML;
         }
         
         // Re-bind event handlers that might have been lost
@@ -2610,182 +4696,33 @@ function updatePageContent(newDoc, pageState) {
         return true;
     } catch (error) {
         console.error('Error updating page content:', error);
-        throw error;
-    }
-}
-
-/**
- * Re-bind event handlers after content update
- */
-function rebindEventHandlers() {
-    // Rebind language dropdown toggles if they exist
-    document.querySelectorAll('#lang-toggle, #mobile-lang-toggle').forEach(toggle => {
-        if (toggle) {
-            // Remove existing listeners to avoid duplicates
-            const newToggle = toggle.cloneNode(true);
-            toggle.parentNode.replaceChild(newToggle, toggle);
-        }
-    });
-    
-    // You might need to re-run parts of your initialization code
-    // that set up event handlers on dynamic content
-    setupLanguageDropdowns();
-    
-    // Re-initialize other components if needed
-    if (typeof initWebsite === 'function') {
-        initWebsite();
-    }
-}
-
-/**
- * Restore form data after content update
- */
-function restoreFormData(formData) {
-    if (!formData || !formData.length) return;
-    
-    formData.forEach(data => {
-        let form;
-        
-        // Find the form either by ID or selector
-        if (data.id) {
-            form = document.getElementById(data.id);
-        } else if (data.selector) {
-            form = document.querySelector(data.selector);
-        }
-        
-        if (!form) return;
-        
-        // Restore text inputs
-        Object.entries(data.values || {}).forEach(([name, value]) => {
-            const input = name.startsWith('#') 
-                ? document.getElementById(name.substring(1))
-                : form.querySelector(`[name="${name}"]`);
-                
-            if (input) input.value = value;
-        });
-        
-        // Restore radio buttons
-        Object.entries(data.checkedRadios || {}).forEach(([name, value]) => {
-            const radio = form.querySelector(`[name="${name}"][value="${value}"]`);
-            if (radio) radio.checked = true;
-        });
-        
-        // Restore checkboxes
-        Object.entries(data.checkedCheckboxes || {}).forEach(([name, checked]) => {
-            const checkbox = name.startsWith('#') 
-                ? document.getElementById(name.substring(1))
-                : form.querySelector(`[name="${name}"]`);
-                
-            if (checkbox) checkbox.checked = checked;
-        });
-        
-        // Restore selects
-        Object.entries(data.selects || {}).forEach(([name, value]) => {
-            const select = name.startsWith('#') 
-                ? document.getElementById(name.substring(1))
-                : form.querySelector(`[name="${name}"]`);
-                
-            if (!select) return;
-            
-            if (Array.isArray(value)) {
-                // Multiple select
-                Array.from(select.options).forEach(option => {
-                    option.selected = value.includes(option.value);
-                });
-            } else {
-                // Single select
-                select.value = value;
-            }
-        });
-        
-        // Restore textareas
-        Object.entries(data.textareas || {}).forEach(([name, value]) => {
-            const textarea = name.startsWith('#') 
-                ? document.getElementById(name.substring(1))
-                : form.querySelector(`[name="${name}"]`);
-                
-            if (textarea) textarea.value = value;
-        });
-    });
-}
-
-/**
- * Restore active elements (like nav links)
- */
-function restoreActiveElements(activeElements) {
-    if (!activeElements || !activeElements.length) return;
-    
-    activeElements.forEach(data => {
-        let element;
-        
-        if (data.selector) {
-            element = document.querySelector(data.selector);
-        }
-        
-        if (!element) return;
-        
-        // Restore active state
-        element.classList.add('active');
-        
-        // Restore aria-current if needed
-        if (data.ariaCurrent) {
-            element.setAttribute('aria-current', data.ariaCurrent);
-        }
-    });
-}
-
-/**
- * Restore expanded elements (like accordions)
- */
-function restoreExpandedElements(expandedElements) {
-    if (!expandedElements || !expandedElements.length) return;
-    
-    expandedElements.forEach(data => {
-        let element;
-        
-        if (data.selector) {
-            element = document.querySelector(data.selector);
-        }
-        
-        if (!element) return;
-        
-        // Restore expanded state
-        element.setAttribute('aria-expanded', 'true');
-        
-        // Show controlled element if exists
-        if (data.controls) {
-            const controlled = document.getElementById(data.controls);
-            if (controlled) {
-                controlled.classList.remove('hidden');
-                controlled.setAttribute('aria-hidden', 'false');
-            }
-        }
-    });
+        throw error;
+    }
 }
 
 /**
- * Restore tab states
+ * Re-bind event handlers after content update
  */
-function restoreTabStates(tabStates) {
-    if (!tabStates || !tabStates.length) return;
-    
-    tabStates.forEach(data => {
-        // Find container
-        const container = document.querySelector(data.containerSelector);
-        if (!container) return;
-        
-        // Find active tab
-        const activeTab = document.querySelector(data.activeTabSelector);
-        if (!activeTab) return;
-        
-        // Re-activate tab
-        setTimeout(() => {
-            activeTab.click();
-        }, 100);
+function rebindEventHandlers() {
+    // Rebind language dropdown toggles if they exist
+    document.querySelectorAll('#lang-toggle, #mobile-lang-toggle').forEach(toggle => {
+        if (toggle) {
+            // Remove existing listeners to avoid duplicates
+            const newToggle = toggle.cloneNode(true);
+            toggle.parentNode.replaceChild(newToggle, toggle);
+        }
     });
+    
+    // You might need to re-run parts of your initialization code
+    // that set up event handlers on dynamic content
+    setupLanguageDropdowns();
+    
+    // Re-initialize other components if needed
+    if (typeof initWebsite === 'function') {
+        initWebsite();
+    }
 }
 
-// Then make sure fetchLanguageContent is using this function properly
     
     /**
      * Update document title, meta tags, and other metadata
@@ -2858,7 +4795,7 @@ function restoreTabStates(tabStates) {
     function setupNavLinks() {
         // Handle smooth scrolling for nav links
         document.querySelectorAll('a[href^="#"]:not([href="#"])').forEach(link => {
-            if (link.getAttribute('href') === '#proposal-view') return; // Special handling for proposal view
+            if (link.getAttribute('href') === '#proposal-view') return; // Routed by ProposalView
         
             link.addEventListener('click', function(e) {
                 e.preventDefault();
@@ -2969,6 +4906,15 @@ function restoreTabStates(tabStates) {
     
         window.addEventListener('scroll', throttle(updateBackToTopVisibility, 100));
         updateBackToTopVisibility(); // Initial state
+        
+        // Keep the button in the inline-end corner (bottom-left for RTL)
+        function updateBackToTopPlacement(rtl) {
+            backToTopBtn.classList.toggle('right-5', !rtl);
+            backToTopBtn.classList.toggle('left-5', rtl);
+        }
+        
+        updateBackToTopPlacement(MediaUtil.isRTL());
+        MediaUtil.onDirectionChange(updateBackToTopPlacement);
     
         // Scroll to top when clicked with smooth animation
         backToTopBtn.addEventListener('click', () => {
@@ -3223,6 +5169,14 @@ function restoreTabStates(tabStates) {
             // Init language switcher if multilingual is enabled
             if (CONFIG.features.multilingual) {
                 setupLanguageDropdowns();
+                
+                // Follow language switches made in other tabs
+                SyncBus.subscribe('language', langCode => {
+                    if (document.documentElement.lang === langCode) return;
+                    
+                    const link = document.querySelector(`#lang-menu a[hreflang="${langCode}"], #mobile-lang-menu a[hreflang="${langCode}"]`);
+                    if (link) link.click();
+                });
             }
             
             // Set up navigation and scrolling features
@@ -3230,13 +5184,6 @@ function restoreTabStates(tabStates) {
             initBackToTop();
             initScrollSpy();
             
-            // Add popstate handler for browser navigation
-            window.addEventListener('popstate', function(event) {
-                if (event.state && typeof event.state.scrollY === 'number') {
-                    window.scrollTo(0, event.state.scrollY);
-                }
-            });
-            
             // Initialize structured data for SEO
             if (CONFIG.generateStructuredData) {
                 initStructuredData();
@@ -3280,6 +5227,7 @@ function restoreTabStates(tabStates) {
         },
         
         // Expose language switching methods for other components to use
+        switchLanguage,
         fetchLanguageContent,
         createLoader,
         createOverlay
@@ -3295,12 +5243,20 @@ const Tabs = (function() {
     const activeTabsCache = new Map();
     let isInitialized = false;
     
+    // Direction listeners from the last initServiceTabs() run
+    let directionUnsubscribers = [];
+    
     /**
      * Initialize service tabs with enhanced features
      */
     function initServiceTabs() {
         const tabsContainers = document.querySelectorAll('.services-tabs, .tabs-container');
         
+        // This runs again on every language change; drop the old listeners
+        // so they don't pile up and keep replaced tab lists alive
+        directionUnsubscribers.forEach(unsubscribe => unsubscribe());
+        directionUnsubscribers = [];
+        
         tabsContainers.forEach(container => {
             const tabsNav = container.querySelector('.tabs-nav');
             if (!tabsNav) return;
@@ -3388,15 +5344,21 @@ const Tabs = (function() {
                 const tabRect = tab.getBoundingClientRect();
                 const navRect = tabsNav.getBoundingClientRect();
                 
+                // Measure from the inline-start edge so RTL mirrors the maths
+                const rtl = MediaUtil.isRTL();
+                const side = rtl ? 'right' : 'left';
+                const offset = rtl ? navRect.right - tabRect.right : tabRect.left - navRect.left;
+                
                 // Prepare transition before setting properties
                 if (animate) {
-                    indicator.style.transition = 'left 0.3s ease, width 0.3s ease';
+                    indicator.style.transition = `${side} 0.3s ease, width 0.3s ease`;
                 } else {
                     indicator.style.transition = 'none';
                 }
                 
                 // Set indicator position
-                indicator.style.left = `${tabRect.left - navRect.left}px`;
+                indicator.style[side] = `${offset}px`;
+                indicator.style[rtl ? 'left' : 'right'] = 'auto';
                 indicator.style.width = `${tabRect.width}px`;
                 
                 // Force reflow to apply transition
@@ -3523,7 +5485,10 @@ const Tabs = (function() {
                         const currentIndex = tabList.indexOf(tab);
                         let newIndex;
                         
-                        if (e.key === 'ArrowLeft') {
+                        // The previous tab sits to the right in RTL layouts
+                        const previousKey = MediaUtil.isRTL() ? 'ArrowRight' : 'ArrowLeft';
+                        
+                        if (e.key === previousKey) {
                             newIndex = currentIndex > 0 ? currentIndex - 1 : tabList.length - 1;
                         } else {
                             newIndex = currentIndex < tabList.length - 1 ? currentIndex + 1 : 0;
@@ -3550,6 +5515,12 @@ const Tabs = (function() {
             if (activeTab) {
                 activateTab(activeTab, false); // No animation for initial load
             }
+            
+            // Re-measure the indicator when the language direction flips
+            directionUnsubscribers.push(MediaUtil.onDirectionChange(() => {
+                const currentTab = activeTabsCache.get(containerKey);
+                if (currentTab) updateIndicator(currentTab, false);
+            }));
         });
     }
     
@@ -3698,7 +5669,9 @@ const Tabs = (function() {
                         const currentIndex = buttonList.indexOf(button);
                         let newIndex;
                         
-                        if (e.key === 'ArrowLeft') {
+                        const previousKey = MediaUtil.isRTL() ? 'ArrowRight' : 'ArrowLeft';
+                        
+                        if (e.key === previousKey) {
                             newIndex = currentIndex > 0 ? currentIndex - 1 : buttonList.length - 1;
                         } else {
                             newIndex = currentIndex < buttonList.length - 1 ? currentIndex + 1 : 0;
@@ -4067,6 +6040,42 @@ if (!isExpanded && isSingleOpen) {
                 initAccordions();
             });
             
+            // Keep the active tab of each tab list in page snapshots
+            PageState.register('tabs', {
+                capture: () => Array.from(document.querySelectorAll('.tabs-nav, .tab-container'))
+                    .map(container => {
+                        const activeTab = container.querySelector('.tab-btn.active, [role="tab"][aria-selected="true"]');
+                        
+                        return activeTab && {
+                            containerSelector: getUniqueSelector(container),
+                            activeTabSelector: getUniqueSelector(activeTab)
+                        };
+                    })
+                    .filter(Boolean),
+                
+                restore: tabStates => (tabStates || []).forEach(data => {
+                    const activeTab = document.querySelector(data.activeTabSelector);
+                    if (activeTab && !activeTab.classList.contains('active')) {
+                        activeTab.click();
+                    }
+                })
+            });
+            
+            // Open accordion panels; menus and dropdowns are left closed, as
+            // reopening them needs their overlay and focus handling
+            PageState.register('accordions', {
+                capture: () => Array.from(document.querySelectorAll('.accordion-header[aria-expanded="true"], .faq-question[aria-expanded="true"]'))
+                    .map(header => getUniqueSelector(header)),
+                
+                // Clicking runs the accordion's own toggle and animation
+                restore: selectors => (selectors || []).forEach(selector => {
+                    const header = document.querySelector(selector);
+                    if (header && header.getAttribute('aria-expanded') !== 'true') {
+                        header.click();
+                    }
+                })
+            });
+            
             isInitialized = true;
             console.log('Tabs module initialized');
         },
@@ -4520,10 +6529,15 @@ const Forms = (function() {
         .then(result => {
             // Handle response
             if (result.ok) {
+                // The service worker answers `queued: true` when it holds the submission offline
+                const isQueued = result.data && typeof result.data === 'object' && result.data.queued === true;
+                
                 // Success response
-                responseElement.textContent = typeof result.data === 'object' 
-                    ? result.data.message || I18n.get('formSuccess')
-                    : I18n.get('formSuccess');
+                responseElement.textContent = isQueued
+                    ? I18n.get('formQueued')
+                    : typeof result.data === 'object' 
+                        ? result.data.message || I18n.get('formSuccess')
+                        : I18n.get('formSuccess');
                     
                 responseElement.classList.remove('hidden', 'bg-red-100', 'text-red-700');
                 responseElement.classList.add('bg-green-100', 'text-green-700');
@@ -4544,7 +6558,7 @@ const Forms = (function() {
                 // Track successful submission
                 if (window.dataLayer) {
                     window.dataLayer.push({
-                        event: 'formSubmissionSuccess',
+                        event: isQueued ? 'formSubmissionQueued' : 'formSubmissionSuccess',
                         formId: formId,
                         formType: form.getAttribute('data-form-type') || 'contact'
                     });
@@ -4792,6 +6806,8 @@ const CookieConsent = (function() {
             setupConsentControls(consentBanner, acceptBtn, declineBtn, settingsBtn);
         }
         
+        SyncBus.subscribe('cookieConsent', applyRemoteConsent);
+        
         isInitialized = true;
     }
     
@@ -4880,6 +6896,8 @@ const CookieConsent = (function() {
                 
                 // Initialize tracking if present
                 initializeTracking();
+                
+                SyncBus.publish('cookieConsent', { status: 'accepted', preferences: getCookiePreferences() });
             });
         }
         
@@ -4903,6 +6921,8 @@ const CookieConsent = (function() {
                 
                 // Trigger declined event for analytics
                 document.dispatchEvent(new CustomEvent('cookieConsentDeclined'));
+                
+                SyncBus.publish('cookieConsent', { status: 'declined', preferences: getCookiePreferences() });
             });
         }
         
@@ -5154,6 +7174,37 @@ const CookieConsent = (function() {
         document.dispatchEvent(new CustomEvent('cookiePreferencesUpdated', { 
             detail: preferences 
         }));
+        
+        SyncBus.publish('cookieConsent', { status: 'accepted', preferences });
+    }
+    
+    /**
+     * Apply a consent decision made in another tab. The cookies are
+     * shared already, so only this page's banner, toggles and tracking
+     * need updating.
+     */
+    function applyRemoteConsent({ status, preferences }) {
+        const banner = document.getElementById('cookie-consent-banner');
+        if (banner && !banner.classList.contains('hidden')) {
+            banner.style.transform = 'translateY(100%)';
+            
+            setTimeout(() => {
+                banner.classList.add('hidden');
+            }, 500);
+        }
+        
+        // Keep an open settings modal in step
+        if (document.getElementById('analytics-cookies')) {
+            initializeToggles();
+        }
+        
+        if (status === 'accepted' && preferences) {
+            applyPreferences(preferences);
+            
+            document.dispatchEvent(new CustomEvent('cookiePreferencesUpdated', { 
+                detail: preferences 
+            }));
+        }
     }
     
     /**
@@ -5282,416 +7333,318 @@ const CookieConsent = (function() {
  * =========================================================
  */
 const ProposalView = (function() {
+    const VIEW_LINK_SELECTOR = '#view-proposal-link, #view-proposal-link-mobile, [data-target="proposal-view"]';
+    const SECTION_LINK_SELECTOR = 'a[href^="#"]:not([href="#"]):not([href="#proposal-view"])';
+    
     let activeState = false;
     let isInitialized = false;
+    let proposalView = null;
+    let viewLinks = [];
+    let originalTitle = document.title;
+    
+    // Links that already have the click handler, across content swaps
+    const boundLinks = new WeakSet();
     
     /**
-     * Initialize proposal view functionality
+     * Language of the current page, for building proposal URLs
      */
-    function init() {
-        if (isInitialized) return;
+    function currentLanguage() {
+        return Locale.fromPath() || document.documentElement.lang || CONFIG.defaultLanguage;
+    }
+    
+    // data-proposal-id, or the displayed proposal number as a slug
+    function getProposalId() {
+        if (!proposalView) return null;
         
-        // Skip if proposal feature is disabled
-        if (!CONFIG.features.proposalView) {
-            // Hide proposal links if the feature is disabled
-            document.querySelectorAll('#view-proposal-link, #view-proposal-link-mobile').forEach(link => {
-                if (link) link.style.display = 'none';
-            });
-            
-            isInitialized = true;
-            return;
-        }
+        const id = proposalView.getAttribute('data-proposal-id') ||
+                   proposalView.querySelector('#proposal-id')?.textContent || 'proposal';
         
-        const proposalView = document.getElementById('proposal-view');
-        const viewLinks = document.querySelectorAll('#view-proposal-link, #view-proposal-link-mobile, [data-target="proposal-view"]');
+        return id.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    }
+    
+    /**
+     * URL of the proposal on this page, e.g. /en/proposal/iaa-2025-xyz
+     */
+    function href(id = getProposalId(), lang = currentLanguage()) {
+        return Router.href('proposal', { lang, id });
+    }
+    
+    /**
+     * Show or hide the proposal in one go; the router wraps this in a
+     * view transition
+     */
+    function applyView(shouldShow) {
+        if (shouldShow === activeState) return;
         
-        if (!proposalView) {
-            // Hide proposal links if the view doesn't exist
-            viewLinks.forEach(link => {
-                if (link) link.style.display = 'none';
-            });
-            
-            isInitialized = true;
-            return;
-        }
+        const mainSections = document.querySelectorAll('main > section:not(#proposal-view)');
+        const footer = document.querySelector('footer');
         
-        /**
-         * Update view state based on URL hash
-         */
-        function updateView() {
-            const shouldShow = window.location.hash === '#proposal-view';
-            const mainSections = document.querySelectorAll('main > section:not(#proposal-view)');
-            const footer = document.querySelector('footer');
-            
-            // Update state tracking
-            activeState = shouldShow;
+        // Update state tracking
+        activeState = shouldShow;
+        
+        proposalView.classList.toggle('hidden', !shouldShow);
+        proposalView.hidden = !shouldShow;
+        proposalView.style.display = shouldShow ? 'block' : '';
+        
+        mainSections.forEach(section => {
+            section.style.display = shouldShow ? 'none' : '';
+        });
+        
+        if (footer) footer.style.display = shouldShow ? 'none' : '';
+        
+        // Update active state on nav links
+        viewLinks.forEach(link => {
+            link.classList.toggle('active', shouldShow);
             
             if (shouldShow) {
-                // First, ensure the section is not hidden by display: none
-                proposalView.classList.remove('hidden');
-                proposalView.hidden = false;
-                proposalView.style.display = 'block';
-                
-                // Add appearing animation
-                proposalView.style.opacity = '0';
-                
-                // Hide main sections with smooth transition
-                mainSections.forEach(section => {
-                    section.style.opacity = '0';
-                    section.style.transition = 'opacity 0.3s ease-out';
-                });
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+        
+        const metaDescription = document.querySelector('meta[name="description"]');
+        const proposalSchema = document.getElementById('proposal-schema');
+        
+        if (shouldShow) {
+            // Update document title for better SEO and bookmarking
+            const proposalTitle = proposalView.querySelector('h1, .proposal-title')?.textContent.trim() || 'Proposal';
+            originalTitle = document.title;
+            document.title = `${proposalTitle} | ${originalTitle.split(' | ').pop() || 'IAA Solutions'}`;
+            
+            // Update meta description for better SEO
+            if (metaDescription && !metaDescription.hasAttribute('data-original-description')) {
+                metaDescription.setAttribute('data-original-description', metaDescription.getAttribute('content'));
                 
-                if (footer) {
-                    footer.style.opacity = '0';
-                    footer.style.transition = 'opacity 0.3s ease-out';
+                const proposalDescription = proposalView.querySelector('.proposal-description')?.textContent || 
+                                          proposalView.querySelector('p')?.textContent;
+                                          
+                if (proposalDescription) {
+                    metaDescription.setAttribute('content', proposalDescription.substring(0, 160));
                 }
-                
-                // After main sections fade out, complete the transition
-                setTimeout(() => {
-                    mainSections.forEach(section => {
-                        section.style.display = 'none';
-                    });
-                    
-                    if (footer) footer.style.display = 'none';
-                    
-                    // Show the proposal view with fade-in
-                    proposalView.style.opacity = '1';
-                    proposalView.style.transition = 'opacity 0.3s ease-in';
-                    
-                    // Scroll to top of proposal
-                    const heroProposal = document.getElementById('hero-proposal');
-                    if (heroProposal) {
-                        heroProposal.scrollIntoView({ behavior: 'smooth' });
-                    }
-                    
-                    // Update document title for better SEO and bookmarking
-                    const proposalTitle = proposalView.querySelector('h1, .proposal-title')?.textContent || 'Proposal';
-                    document.title = `${proposalTitle} | ${document.title.split(' | ')[1] || 'IAA Solutions'}`;
-                    
-                    // Update meta description for better SEO
-                    const metaDescription = document.querySelector('meta[name="description"]');
-                    if (metaDescription) {
-                        metaDescription.setAttribute('data-original-description', metaDescription.getAttribute('content'));
-                        
-                        const proposalDescription = proposalView.querySelector('.proposal-description')?.textContent || 
-                                                  proposalView.querySelector('p')?.textContent;
-                                                  
-                        if (proposalDescription) {
-                            metaDescription.setAttribute('content', proposalDescription.substring(0, 160));
+            }
+            
+            // Create breadcrumb schema for proposal view
+            if (CONFIG.generateStructuredData && !proposalSchema) {
+                const breadcrumbSchema = {
+                    "@context": "https://schema.org",
+                    "@type": "BreadcrumbList",
+                    "itemListElement": [
+                        {
+                            "@type": "ListItem",
+                            "position": 1,
+                            "name": "Home",
+                            "item": window.location.origin + Router.href('home', { lang: currentLanguage() })
+                        },
+                        {
+                            "@type": "ListItem",
+                            "position": 2,
+                            "name": proposalTitle,
+                            "item": window.location.origin + window.location.pathname
                         }
-                    }
-                    
-                    // Create breadcrumb schema for proposal view
-                    if (CONFIG.generateStructuredData) {
-                        const breadcrumbSchema = {
-                            "@context": "https://schema.org",
-                            "@type": "BreadcrumbList",
-                            "itemListElement": [
-                                {
-                                    "@type": "ListItem",
-                                    "position": 1,
-                                    "name": "Home",
-                                    "item": window.location.origin
-                                },
-                                {
-                                    "@type": "ListItem",
-                                    "position": 2,
-                                    "name": proposalTitle,
-                                    "item": window.location.href
-                                }
-                            ]
-                        };
-                        
-                        // Add proposal schema
-                        const scriptTag = document.createElement('script');
-                        scriptTag.type = 'application/ld+json';
-                        scriptTag.id = 'proposal-schema';
-                        scriptTag.textContent = JSON.stringify(breadcrumbSchema);
-                        document.head.appendChild(scriptTag);
-                    }
-                }, 300);
-                
-                // Update active state on nav links
-                viewLinks.forEach(link => {
-                    link.classList.add('active');
-                    link.setAttribute('aria-current', 'page');
-                });
-                
-                // Track view in analytics
-                if (window.dataLayer) {
-                    window.dataLayer.push({
-                        event: 'proposalView',
-                        proposalTitle: proposalView.querySelector('h1, .proposal-title')?.textContent || 'Proposal'
-                    });
-                }
-                
-                // Announce to screen readers
-                Accessibility.announce(I18n.get('proposalViewActive'), false);
-            } else {
-                // Hide proposal view with animation
-                proposalView.style.opacity = '0';
-                proposalView.style.transition = 'opacity 0.3s ease-out';
-                
-                // After fade-out, complete the transition
-                setTimeout(() => {
-                    proposalView.classList.add('hidden');
-                    proposalView.hidden = true;
-                    
-                    // Show main sections with fade-in
-                    mainSections.forEach(section => {
-                        section.style.display = '';
-                        section.style.opacity = '0';
-                        
-                        // Force reflow
-                        section.offsetHeight;
-                        
-                        section.style.opacity = '1';
-                        section.style.transition = 'opacity 0.3s ease-in';
-                    });
-                    
-                    if (footer) {
-                        footer.style.display = '';
-                        footer.style.opacity = '0';
-                        
-                        // Force reflow
-                        footer.offsetHeight;
-                        
-                        footer.style.opacity = '1';
-                        footer.style.transition = 'opacity 0.3s ease-in';
-                    }
-                    
-                    // Restore original document title
-                    document.title = document.title.split(' | ')[1] || 'IAA Solutions';
-                    
-                    // Restore original meta description
-                    const metaDescription = document.querySelector('meta[name="description"]');
-                    if (metaDescription && metaDescription.hasAttribute('data-original-description')) {
-                        metaDescription.setAttribute('content', metaDescription.getAttribute('data-original-description'));
-                        metaDescription.removeAttribute('data-original-description');
-                    }
-                    
-                    // Remove proposal schema
-                    const proposalSchema = document.getElementById('proposal-schema');
-                    if (proposalSchema) {
-                        proposalSchema.parentNode.removeChild(proposalSchema);
-                    }
-                }, 300);
-                
-                // Update active state on nav links
-                viewLinks.forEach(link => {
-                    link.classList.remove('active');
-                    link.removeAttribute('aria-current');
-                });
+                    ]
+                };
                 
-                // Announce to screen readers
-                Accessibility.announce(I18n.get('mainViewActive'), false);
+                // Add proposal schema
+                const scriptTag = document.createElement('script');
+                scriptTag.type = 'application/ld+json';
+                scriptTag.id = 'proposal-schema';
+                scriptTag.textContent = JSON.stringify(breadcrumbSchema);
+                document.head.appendChild(scriptTag);
+            }
+        } else {
+            // Restore original document title
+            document.title = originalTitle;
+            
+            // Restore original meta description
+            if (metaDescription && metaDescription.hasAttribute('data-original-description')) {
+                metaDescription.setAttribute('content', metaDescription.getAttribute('data-original-description'));
+                metaDescription.removeAttribute('data-original-description');
+            }
+            
+            // Remove proposal schema
+            if (proposalSchema) {
+                proposalSchema.parentNode.removeChild(proposalSchema);
             }
         }
+    }
+    
+    /**
+     * Route handler for /:lang/proposal/:id. A proposal that isn't the
+     * one embedded in this page rejects, so the router loads it fully.
+     */
+    function show(id) {
+        if (!isInitialized) init();
+        
+        if (!proposalView) {
+            return Promise.reject(new Error('This page has no proposal view'));
+        }
         
-        // Initial check
-        updateView();
+        if (id && getProposalId() && id !== getProposalId()) {
+            return Promise.reject(new Error(`Proposal ${id} is not on this page`));
+        }
         
-        // Listen for hash changes
-        window.addEventListener('hashchange', updateView);
+        if (activeState) return Promise.resolve();
         
-        // Handle links to the proposal view
-        viewLinks.forEach(link => {
-            if (!link) return;
+        return Router.transition(() => applyView(true)).then(() => {
+            // Move focus to the proposal for keyboard and screen reader users
+            const proposalHeading = proposalView.querySelector('h1, .proposal-title');
+            if (proposalHeading) {
+                proposalHeading.setAttribute('tabindex', '-1');
+                proposalHeading.focus({ preventScroll: true });
+                setTimeout(() => proposalHeading.removeAttribute('tabindex'), 1000);
+            }
             
-            link.addEventListener('click', function(e) {
-                // Default behavior for hash navigation, but with enhancements
-                
-                // Close mobile menu if open
-                if (Header.isMobileMenuOpen && Header.isMobileMenuOpen()) {
-                    Header.closeMobileMenu();
-                }
-                
-                // If already on proposal view, prevent default and just scroll to top
-                if (window.location.hash === '#proposal-view' && activeState) {
-                    e.preventDefault();
-                    
-                    const heroProposal = document.getElementById('hero-proposal');
-                    if (heroProposal) {
-                        heroProposal.scrollIntoView({ behavior: 'smooth' });
-                    } else {
-                        window.scrollTo({ top: 0, behavior: 'smooth' });
-                    }
-                }
-                
-                // Force hash change event if the hash hasn't changed
-                if (window.location.hash === '#proposal-view') {
-                    setTimeout(updateView, 0);
-                }
-                
-                // Track click in analytics
-                if (window.dataLayer) {
-                    window.dataLayer.push({
-                        event: 'proposalLinkClick',
-                        linkLocation: link.closest('header') ? 'header' : 'page'
-                    });
-                }
-            });
+            // Track view in analytics
+            if (window.dataLayer) {
+                window.dataLayer.push({
+                    event: 'proposalView',
+                    proposalTitle: proposalView.querySelector('h1, .proposal-title')?.textContent || 'Proposal'
+                });
+            }
+            
+            // Announce to screen readers
+            Accessibility.announce(I18n.get('proposalViewActive'), false);
         });
+    }
+    
+    /**
+     * Route handler for every other page: put the main sections back
+     */
+    function hide() {
+        if (!isInitialized) init();
         
-        // Handle section links when proposal view is active
-        document.querySelectorAll('a[href^="#"]:not([href="#"]):not([href="#proposal-view"])').forEach(link => {
-            link.addEventListener('click', function(e) {
-                // If proposal view is active
-                if (activeState) {
-                    // Get the target section ID
-                    const targetId = this.getAttribute('href').substring(1);
-                    const targetSection = document.getElementById(targetId);
-                    
-                    if (!targetSection) return;
-                    
-                    // Prevent default to handle navigation manually
-                    e.preventDefault();
-                    
-                    // Update hash without scrolling
-                    history.pushState(null, '', `#${targetId}`);
-                    
-                    // Hide proposal view
-                    proposalView.style.opacity = '0';
-                    proposalView.style.transition = 'opacity 0.3s ease-out';
-                    
-                    setTimeout(() => {
-                        proposalView.classList.add('hidden');
-                        proposalView.hidden = true;
-                        
-                        // Show main sections and footer
-                        const mainSections = document.querySelectorAll('main > section:not(#proposal-view)');
-                        const footer = document.querySelector('footer');
-                        
-                        mainSections.forEach(section => {
-                            section.style.display = '';
-                            section.style.opacity = '1';
-                        });
-                        
-                        if (footer) {
-                            footer.style.display = '';
-                            footer.style.opacity = '1';
-                        }
-                        
-                        // Update nav links
-                        viewLinks.forEach(vLink => {
-                            vLink.classList.remove('active');
-                            vLink.removeAttribute('aria-current');
-                        });
-                        
-                        // Calculate header height for offset
-                        const headerHeight = document.getElementById('header')?.offsetHeight || 0;
-                        
-                        // Scroll to the target section with proper offset
-                        const sectionTitle = targetSection.querySelector('h2, h3, .section-header') || targetSection;
-                        const targetPosition = sectionTitle.getBoundingClientRect().top + window.scrollY - headerHeight - 20;
-                        
-                        window.scrollTo({
-                            top: targetPosition,
-                            behavior: 'smooth'
-                        });
-                        
-                        // Update active state for the clicked link
-                        document.querySelectorAll('.nav-link').forEach(navLink => {
-                            const navLinkTarget = navLink.getAttribute('href');
-                            const isActive = navLinkTarget === `#${targetId}`;
-                            navLink.classList.toggle('active', isActive);
-                            
-                            if (isActive) {
-                                navLink.setAttribute('aria-current', 'page');
-                            } else {
-                                navLink.removeAttribute('aria-current');
-                            }
-                        });
-                        
-                        // Update activeState flag
-                        activeState = false;
-                        
-                        // Restore original document title
-                        document.title = document.title.split(' | ')[1] || 'IAA Solutions';
-                        
-                        // Restore original meta description
-                        const metaDescription = document.querySelector('meta[name="description"]');
-                        if (metaDescription && metaDescription.hasAttribute('data-original-description')) {
-                            metaDescription.setAttribute('content', metaDescription.getAttribute('data-original-description'));
-                            metaDescription.removeAttribute('data-original-description');
-                        }
-                        
-                        // Remove proposal schema
-                        const proposalSchema = document.getElementById('proposal-schema');
-                        if (proposalSchema) {
-                            proposalSchema.parentNode.removeChild(proposalSchema);
-                        }
-                    }, 300);
-                    
-                    // Track navigation in analytics
-                    if (window.dataLayer) {
-                        window.dataLayer.push({
-                            event: 'proposalToSectionNavigation',
-                            targetSection: targetId
-                        });
-                    }
-                }
-            });
+        if (!proposalView || !activeState) return Promise.resolve();
+        
+        return Router.transition(() => applyView(false)).then(() => {
+            // Announce to screen readers
+            Accessibility.announce(I18n.get('mainViewActive'), false);
         });
+    }
+    
+    function handleViewLinkClick(e) {
+        e.preventDefault();
+        Router.navigate(href());
+        
+        // Close mobile menu if open
+        if (Header.isMobileMenuOpen && Header.isMobileMenuOpen()) {
+            Header.closeMobileMenu();
+        }
+        
+        // Track click in analytics
+        if (window.dataLayer) {
+            window.dataLayer.push({
+                event: 'proposalLinkClick',
+                linkLocation: e.currentTarget.closest('header') ? 'header' : 'page'
+            });
+        }
+    }
+    
+    // Section links on the proposal go back to the main page first
+    function handleSectionLinkClick(e) {
+        if (!activeState) return;
+        
+        const link = e.target.closest && e.target.closest(SECTION_LINK_SELECTOR);
+        if (!link) return;
+        
+        // Get the target section ID
+        const targetId = link.getAttribute('href').substring(1);
+        const targetSection = document.getElementById(targetId);
+        
+        // Anchors inside the proposal scroll as usual
+        if (!targetSection || proposalView.contains(targetSection)) return;
+        
+        e.preventDefault();
+        Router.navigate(`${Router.href('home', { lang: currentLanguage() })}#${targetId}`);
+        
+        // Track navigation in analytics
+        if (window.dataLayer) {
+            window.dataLayer.push({
+                event: 'proposalToSectionNavigation',
+                targetSection: targetId
+            });
+        }
+    }
+    
+    /**
+     * Find the proposal and its links. Returns false, hiding the links,
+     * when the feature is off or the page has no proposal.
+     */
+    function bindElements() {
+        proposalView = document.getElementById('proposal-view');
+        viewLinks = Array.from(document.querySelectorAll(VIEW_LINK_SELECTOR));
         
-        // Handle back/forward navigation with proper focus management
-        window.addEventListener('popstate', function(event) {
-            // Call updateView to handle the state change
-            updateView();
+        if (!CONFIG.features.proposalView || !proposalView) {
+            viewLinks.forEach(link => {
+                link.style.display = 'none';
+            });
+            
+            proposalView = null;
+            return false;
+        }
+        
+        // Links to the proposal (#proposal-view or the route URL itself)
+        viewLinks.forEach(link => {
+            if (boundLinks.has(link)) return;
             
-            // Set focus appropriately based on the new state
+            boundLinks.add(link);
+            link.addEventListener('click', handleViewLinkClick);
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Initialize proposal view functionality. initWebsite() calls this
+     * again after a language swap has replaced the header and <main>.
+     */
+    function init() {
+        if (isInitialized) {
+            // The new sections and links still need the current view
+            if (bindElements() && activeState) {
+                activeState = false;
+                applyView(true);
+            }
+            return;
+        }
+        
+        isInitialized = true;
+        
+        if (!bindElements()) return;
+        
+        // Old #proposal-view links now map onto the proposal route. On load
+        // the URL is rewritten before the router's first render.
+        if (window.location.hash === '#proposal-view') {
+            window.history.replaceState(window.history.state, '', href());
+        }
+        
+        window.addEventListener('hashchange', () => {
             if (window.location.hash === '#proposal-view') {
-                // Focus on the proposal view
-                const proposalHeading = proposalView.querySelector('h1, .proposal-title');
-                if (proposalHeading) {
-                    proposalHeading.setAttribute('tabindex', '-1');
-                    proposalHeading.focus();
-                    setTimeout(() => proposalHeading.removeAttribute('tabindex'), 1000);
-                }
-            } else if (window.location.hash && window.location.hash !== '#') {
-                // Focus on the section that was navigated to
-                const targetSection = document.querySelector(window.location.hash);
-                if (targetSection) {
-                    targetSection.setAttribute('tabindex', '-1');
-                    targetSection.focus();
-                    setTimeout(() => targetSection.removeAttribute('tabindex'), 1000);
-                }
+                Router.navigate(href(), { replace: true });
             }
         });
         
-        isInitialized = true;
+        // Delegated, so it keeps working when the content is swapped
+        document.addEventListener('click', handleSectionLinkClick);
+        
         console.log('Proposal View module initialized');
     }
     
     return {
         init,
+        show,
+        hide,
+        href,
         
         // Public method to check if proposal view is active
         isActive: function() {
             return activeState;
         },
         
-        // Method to programmatically show the proposal view
-        show: function() {
-            if (!isInitialized) init();
-            
-            if (!activeState) {
-                window.location.hash = 'proposal-view';
-            }
-        },
-        
-        // Method to programmatically hide the proposal view
-        hide: function() {
+        // Navigate to the proposal on this page
+        open: function() {
             if (!isInitialized) init();
-            
-            if (activeState) {
-                // Remove the hash but keep the rest of the URL
-                history.pushState("", document.title, window.location.pathname + window.location.search);
-                
-                // Update the view
-                const event = new HashChangeEvent('hashchange');
-                window.dispatchEvent(event);
-            }
+            if (proposalView) Router.navigate(href());
         }
     };
 })();
@@ -5704,6 +7657,9 @@ const ProposalView = (function() {
 const Animations = (function() {
     let isInitialized = false;
     
+    // Slider element → unsubscribe for its direction listener
+    const sliderDirectionListeners = new Map();
+    
     /**
      * Initialize AOS (Animate On Scroll) with enhanced configuration
      */
@@ -5812,6 +7768,14 @@ const Animations = (function() {
         
         const sliders = document.querySelectorAll('.testimonial-slider');
         
+        // Release listeners of sliders a content swap has removed
+        sliderDirectionListeners.forEach((unsubscribe, slider) => {
+            if (!slider.isConnected) {
+                unsubscribe();
+                sliderDirectionListeners.delete(slider);
+            }
+        });
+        
         sliders.forEach((slider, index) => {
             // Skip if already initialized
             if (slider.swiper) return;
@@ -5864,6 +7828,9 @@ const Animations = (function() {
             // Configure autoplay based on reduced motion preference
             const shouldAutoplay = !MediaUtil.prefersReducedMotion() || !CONFIG.prefersReducedMotionEnabled;
             
+            // Swiper reads its direction from the container's dir attribute
+            slider.dir = MediaUtil.isRTL() ? 'rtl' : 'ltr';
+            
             // Initialize Swiper with enhanced options
             const testimonialSwiper = new Swiper(slider, {
                 slidesPerView: 1,
@@ -5927,15 +7894,29 @@ const Animations = (function() {
             
             // Add keyboard navigation for accessibility
             slider.addEventListener('keydown', (e) => {
-                if (e.key === 'ArrowLeft') {
+                if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+                
+                // Slides advance leftwards in RTL, so the arrows swap roles
+                const previousKey = MediaUtil.isRTL() ? 'ArrowRight' : 'ArrowLeft';
+                
+                if (e.key === previousKey) {
                     testimonialSwiper.slidePrev();
-                    e.preventDefault();
-                } else if (e.key === 'ArrowRight') {
+                } else {
                     testimonialSwiper.slideNext();
-                    e.preventDefault();
                 }
+                e.preventDefault();
             });
             
+            // Flip the slider in place when the language direction changes
+            sliderDirectionListeners.set(slider, MediaUtil.onDirectionChange(rtl => {
+                const dir = rtl ? 'rtl' : 'ltr';
+                slider.dir = dir;
+                
+                if (typeof testimonialSwiper.changeLanguageDirection === 'function') {
+                    testimonialSwiper.changeLanguageDirection(dir);
+                }
+            }));
+            
             // Pause autoplay when tab is not visible for better performance
             document.addEventListener('visibilitychange', () => {
                 if (document.hidden) {
@@ -6263,19 +8244,31 @@ const Animations = (function() {
             observer.observe(el);
         });
         
+        // Mirror pending horizontal entrances when the language direction flips
+        MediaUtil.onDirectionChange(() => {
+            elementsToAnimate.forEach(el => {
+                if (!el.classList.contains('animated')) {
+                    el.style.transform = getInitialTransform(el);
+                }
+            });
+        });
+        
         // Helper function to get initial transform based on animation class
         function getInitialTransform(el) {
             const classes = el.classList;
             const animation = el.getAttribute('data-animation');
             
+            // Horizontal offsets are written for LTR; RTL enters from the other side
+            const x = MediaUtil.isRTL() ? -1 : 1;
+            
             if (classes.contains('fade-up') || animation === 'fade-up') {
                 return 'translate3d(0, 40px, 0)';
             } else if (classes.contains('fade-down') || animation === 'fade-down') {
                 return 'translate3d(0, -40px, 0)';
             } else if (classes.contains('fade-left') || animation === 'fade-left') {
-                return 'translate3d(40px, 0, 0)';
+                return `translate3d(${40 * x}px, 0, 0)`;
             } else if (classes.contains('fade-right') || animation === 'fade-right') {
-                return 'translate3d(-40px, 0, 0)';
+                return `translate3d(${-40 * x}px, 0, 0)`;
             } else if (classes.contains('zoom-in') || animation === 'zoom-in') {
                 return 'scale(0.9)';
             } else if (classes.contains('zoom-out') || animation === 'zoom-out') {
@@ -6285,9 +8278,9 @@ const Animations = (function() {
             } else if (classes.contains('slide-down') || animation === 'slide-down') {
                 return 'translate3d(0, -100%, 0)';
             } else if (classes.contains('slide-left') || animation === 'slide-left') {
-                return 'translate3d(100%, 0, 0)';
+                return `translate3d(${100 * x}%, 0, 0)`;
             } else if (classes.contains('slide-right') || animation === 'slide-right') {
-                return 'translate3d(-100%, 0, 0)';
+                return `translate3d(${-100 * x}%, 0, 0)`;
             }
             
             return 'translate3d(0, 0, 0)';
@@ -6364,6 +8357,27 @@ const Animations = (function() {
             initScrollAnimations();
             initTypedText();
             
+            // Bring visitors back to the same slide
+            PageState.register('sliders', {
+                capture: () => Array.from(document.querySelectorAll('.swiper'))
+                    .filter(slider => slider.swiper)
+                    .map(slider => ({
+                        selector: getUniqueSelector(slider),
+                        realIndex: slider.swiper.realIndex
+                    })),
+                
+                restore: sliders => (sliders || []).forEach(data => {
+                    const slider = document.querySelector(data.selector);
+                    if (!slider || !slider.swiper) return;
+                    
+                    if (slider.swiper.params.loop) {
+                        slider.swiper.slideToLoop(data.realIndex, 0);
+                    } else {
+                        slider.swiper.slideTo(data.realIndex, 0);
+                    }
+                })
+            });
+            
             // Re-initialize when content changes
             document.addEventListener('contentChanged', () => {
                 // Refresh animations when new content is added
@@ -6780,10 +8794,8 @@ const Utils = (function() {
             const readingSpeed = parseInt(element.getAttribute('data-reading-speed'), 10) || 225;
             const readTimeMinutes = Math.max(1, Math.round(wordCount / readingSpeed));
             
-            // Format read time
-            const readTimeText = readTimeMinutes === 1 
-                ? I18n.get('readTimeMinute', { minutes: readTimeMinutes })
-                : I18n.get('readTimeMinutes', { minutes: readTimeMinutes });
+            // Format read time; the plural form comes from the message
+            const readTimeText = I18n.get('readTime', { minutes: readTimeMinutes });
             
             // Update element
             element.textContent = readTimeText;
@@ -6995,6 +9007,405 @@ const Utils = (function() {
     };
 })();
 
+/**
+ * =========================================================
+ * TRANSLATION DEBUG MODULE
+ * =========================================================
+ */
+const TranslationDebug = (function() {
+    // ?i18n-debug turns logging on, ?i18n-debug=pseudo adds the pseudo-locale
+    // and ?i18n-debug=off silences it in development
+    const QUERY_PARAM = 'i18n-debug';
+    const PSEUDO_MODE = 'pseudo';
+    const OFF_MODE = 'off';
+    
+    // Pseudo-locale text is accented and padded by this fraction
+    const PSEUDO_EXPANSION = 0.3;
+    const PLAIN_LETTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    const ACCENTED_LETTERS = 'åƀçđéƒĝĥîĵķļɱñöþǫŕšţûṽŵẋýžÅƁÇĐÉƑĜĤÎĴĶĻṀÑÖÞǪŔŠŢÛṼŴẊÝŽ';
+    const ACCENTS = new Map(Array.from(PLAIN_LETTERS).map((char, i) => [char, Array.from(ACCENTED_LETTERS)[i]]));
+    
+    // Content that is never meant to be translated
+    const IGNORED_SELECTOR = 'script, style, noscript, template, svg, code, pre, textarea, [translate="no"], [data-i18n-ignore]';
+    const CHECKED_ATTRIBUTES = ['placeholder', 'aria-label', 'title'];
+    
+    let isInitialized = false;
+    let pseudo = false;
+    
+    function getQueryMode() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has(QUERY_PARAM)) return null;
+        
+        return params.get(QUERY_PARAM) || 'on';
+    }
+    
+    /**
+     * "Save" → "[Šåṽé~~]": accented so untranslated text stands out, and
+     * longer so layouts that only fit English break visibly
+     */
+    function pseudoLocalize(text) {
+        if (!text) return text;
+        
+        const accented = Array.from(text).map(char => ACCENTS.get(char) || char).join('');
+        const padding = '~'.repeat(Math.ceil(text.length * PSEUDO_EXPANSION));
+        
+        return `[${accented}${padding}]`;
+    }
+    
+    function setPseudo(enabled) {
+        pseudo = Boolean(enabled);
+        I18n.setTransform(pseudo ? pseudoLocalize : null);
+    }
+    
+    // Make sure every supported pack is loaded before comparing them
+    function loadAllLanguages() {
+        return Promise.all(CONFIG.supportedLanguages.map(({ code }) => I18n.loadLanguage(code)));
+    }
+    
+    /**
+     * Keys defined for the fallback language but not for each other
+     * supported language, with the share that is translated
+     */
+    function getCoverage() {
+        const fallbackLang = CONFIG.fallbackLanguage || 'en';
+        const reference = Object.keys(I18n.getMessages(fallbackLang));
+        const coverage = {};
+        
+        CONFIG.supportedLanguages.forEach(({ code }) => {
+            if (code === fallbackLang) return;
+            
+            const messages = I18n.getMessages(code);
+            const missing = reference.filter(key => typeof messages[key] !== 'string');
+            
+            coverage[code] = {
+                missing,
+                percent: reference.length
+                    ? Math.round((1 - missing.length / reference.length) * 100)
+                    : 100
+            };
+        });
+        
+        return coverage;
+    }
+    
+    function logCoverage() {
+        return loadAllLanguages().then(() => {
+            Object.entries(getCoverage()).forEach(([code, { missing, percent }]) => {
+                if (missing.length) {
+                    console.warn(`I18n debug: ${code} is ${percent}% translated, missing ${missing.length} keys:`, missing);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Text and translatable attributes with no data-i18n binding.
+     * Text that matches a string of the current language is assumed to
+     * have been rendered through I18n.get and is skipped.
+     */
+    function findHardcodedText(root = document.body) {
+        const entries = [];
+        if (!root) return entries;
+        
+        const known = new Set();
+        Object.values(I18n.getMessages(I18n.getLanguage())).forEach(message => {
+            known.add(message);
+            if (pseudo) known.add(pseudoLocalize(message));
+        });
+        
+        const isTranslatable = text => text.length > 1 && /\p{L}/u.test(text) && !known.has(text);
+        
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        let node;
+        
+        while ((node = walker.nextNode())) {
+            const element = node.parentElement;
+            const text = node.nodeValue.replace(/\s+/g, ' ').trim();
+            
+            if (!element || !isTranslatable(text) ||
+                element.closest(IGNORED_SELECTOR) || element.closest('[data-i18n]')) {
+                continue;
+            }
+            
+            entries.push({
+                selector: getUniqueSelector(element),
+                text,
+                visible: element.getClientRects().length > 0
+            });
+        }
+        
+        root.querySelectorAll(CHECKED_ATTRIBUTES.map(attr => `[${attr}]`).join(', ')).forEach(element => {
+            if (element.closest(IGNORED_SELECTOR)) return;
+            
+            const bound = I18n.getAttributeBindings(element).map(([attr]) => attr);
+            
+            CHECKED_ATTRIBUTES.forEach(attr => {
+                const text = (element.getAttribute(attr) || '').trim();
+                if (bound.includes(attr) || !isTranslatable(text)) return;
+                
+                entries.push({
+                    selector: getUniqueSelector(element),
+                    attribute: attr,
+                    text,
+                    visible: element.getClientRects().length > 0
+                });
+            });
+        });
+        
+        return entries;
+    }
+    
+    /**
+     * Coverage per language, keys missed at runtime and hardcoded text
+     */
+    function buildReport() {
+        return loadAllLanguages().then(() => ({
+            generatedAt: new Date().toISOString(),
+            url: window.location.href,
+            language: I18n.getLanguage(),
+            coverage: getCoverage(),
+            missingAtRuntime: I18n.getMissingKeys(),
+            hardcodedText: findHardcodedText()
+        }));
+    }
+    
+    // Download the report as JSON
+    function exportReport(filename = `i18n-report-${I18n.getLanguage()}.json`) {
+        return buildReport().then(report => {
+            const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+            
+            return report;
+        });
+    }
+    
+    function init() {
+        if (isInitialized) return;
+        
+        const mode = getQueryMode();
+        if (mode === OFF_MODE || (!mode && CONFIG.environment !== 'development')) return;
+        
+        isInitialized = true;
+        
+        // Keys missed before now, then each new one as it happens
+        Object.entries(I18n.getMissingKeys()).forEach(([language, keys]) => {
+            console.warn(`I18n debug: missing in ${language}:`, keys);
+        });
+        
+        document.addEventListener('i18nMissingKey', (e) => {
+            console.warn(`I18n debug: "${e.detail.key}" is missing in ${e.detail.language}`);
+        });
+        
+        if (mode === PSEUDO_MODE) {
+            setPseudo(true);
+        }
+        
+        logCoverage().then(() => {
+            const hardcoded = findHardcodedText();
+            if (hardcoded.length) {
+                console.warn(`I18n debug: ${hardcoded.length} strings have no data-i18n binding:`, hardcoded);
+            }
+            console.log('I18n debug mode is on; TranslationDebug.exportReport() downloads the full report');
+        });
+    }
+    
+    return {
+        init,
+        setPseudo,
+        pseudoLocalize,
+        getCoverage,
+        findHardcodedText,
+        buildReport,
+        exportReport
+    };
+})();
+
+/**
+ * =========================================================
+ * EXPERIMENTS MODULE
+ * =========================================================
+ */
+const Experiments = (function() {
+    const VISITOR_ID_KEY = 'visitor_id';
+    const VISITOR_ID_EXPIRY_DAYS = 365;
+    const QUERY_PARAM = 'experiments';
+    const CONTROL = 'control';
+    
+    let isInitialized = false;
+    let visitorId = null;
+    
+    // Experiments already reported to analytics on this page
+    const exposed = new Set();
+    
+    /**
+     * Stable anonymous id for bucketing, kept in StorageUtil
+     */
+    function getVisitorId() {
+        if (visitorId) return visitorId;
+        
+        visitorId = StorageUtil.get(VISITOR_ID_KEY);
+        
+        if (!visitorId) {
+            visitorId = (typeof crypto !== 'undefined' && crypto.randomUUID)
+                ? crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+            StorageUtil.set(VISITOR_ID_KEY, visitorId, { expires: VISITOR_ID_EXPIRY_DAYS });
+        }
+        
+        return visitorId;
+    }
+    
+    // FNV-1a hash of a string mapped to [0, 1)
+    function hashToUnit(input) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < input.length; i++) {
+            hash ^= input.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0) / 4294967296;
+    }
+    
+    /**
+     * QA overrides from ?experiments=name:variant,other:variant
+     */
+    function getForcedVariants() {
+        const forced = {};
+        const param = new URLSearchParams(window.location.search).get(QUERY_PARAM);
+        
+        if (param) {
+            param.split(',').forEach(pair => {
+                const [name, variant] = pair.split(':').map(part => part && part.trim());
+                if (name && variant) forced[name] = variant;
+            });
+        }
+        
+        return forced;
+    }
+    
+    /**
+     * Work out the variant for an experiment. Visitors outside the rollout,
+     * or when the experiment or its gating feature is off, get control.
+     */
+    function assign(name) {
+        const experiment = CONFIG.get(`experiments.${name}`);
+        const forced = getForcedVariants()[name];
+        
+        if (forced) {
+            return { variant: forced, forced: true, included: true };
+        }
+        
+        if (!experiment || experiment.enabled === false ||
+            (experiment.feature && !CONFIG.get(`features.${experiment.feature}`, false))) {
+            return { variant: CONTROL, forced: false, included: false };
+        }
+        
+        const id = getVisitorId();
+        const rollout = typeof experiment.rollout === 'number' ? experiment.rollout : 100;
+        
+        // Inclusion and variant use separate hashes so they don't correlate
+        if (hashToUnit(`${id}:${name}:rollout`) * 100 >= rollout) {
+            return { variant: CONTROL, forced: false, included: false };
+        }
+        
+        const variants = Object.entries(experiment.variants || { [CONTROL]: 1 })
+            .filter(([, weight]) => weight > 0);
+        const totalWeight = variants.reduce((total, [, weight]) => total + weight, 0);
+        let point = hashToUnit(`${id}:${name}`) * totalWeight;
+        
+        for (const [variant, weight] of variants) {
+            if (point < weight) return { variant, forced: false, included: true };
+            point -= weight;
+        }
+        
+        return { variant: CONTROL, forced: false, included: false };
+    }
+    
+    // Report an exposure once per experiment and page view
+    function logExposure(name, assignment) {
+        if (exposed.has(name) || !assignment.included) return;
+        exposed.add(name);
+        
+        window.dataLayer = window.dataLayer || [];
+        window.dataLayer.push({
+            event: 'experiment_exposure',
+            experiment: name,
+            variant: assignment.variant,
+            forced: assignment.forced
+        });
+    }
+    
+    /**
+     * Show the assigned variant of each [data-experiment][data-variant]
+     * element and hide the rest. style.css hides variants until they are
+     * marked data-variant-assigned, so none of them flash first.
+     */
+    function apply(root = document) {
+        const names = new Set();
+        
+        root.querySelectorAll('[data-experiment][data-variant]').forEach(element => {
+            names.add(element.getAttribute('data-experiment'));
+        });
+        
+        names.forEach(name => {
+            const assignment = assign(name);
+            const selector = `[data-experiment="${CSS.escape(name)}"][data-variant]`;
+            
+            root.querySelectorAll(selector).forEach(element => {
+                const active = element.getAttribute('data-variant') === assignment.variant;
+                
+                element.hidden = !active;
+                element.setAttribute('aria-hidden', String(!active));
+                element.setAttribute('data-variant-assigned', '');
+            });
+            
+            logExposure(name, assignment);
+        });
+    }
+    
+    return {
+        init: function() {
+            // initWebsite runs again after a language switch swaps the
+            // content, so the new elements need their variants
+            if (isInitialized) {
+                apply();
+                return;
+            }
+            
+            apply();
+            
+            // Re-evaluate when experiments are reconfigured at runtime
+            CONFIG.subscribe('experiments', () => apply());
+            CONFIG.subscribe('features', () => apply());
+            
+            isInitialized = true;
+        },
+        
+        apply,
+        
+        // Variant for an experiment, without logging an exposure
+        getVariant: function(name) {
+            return assign(name).variant;
+        },
+        
+        // Variant for code-driven experiments; logs the exposure
+        activate: function(name) {
+            const assignment = assign(name);
+            logExposure(name, assignment);
+            return assignment.variant;
+        },
+        
+        getVisitorId
+    };
+})();
+
 /**
  * =========================================================
  * SEO MODULE
@@ -7181,21 +9592,7 @@ const SEO = (function() {
             link.rel = 'alternate';
             link.hreflang = lang.code;
             
-            // Get language URL
-            const currentPath = window.location.pathname;
-            const currentLang = document.documentElement.lang || CONFIG.defaultLanguage;
-            
-            let langPath;
-            
-            if (currentPath.match(/^\/[a-z]{2}\//)) {
-                // Replace language code in path
-                langPath = currentPath.replace(/^\/[a-z]{2}\//, `/${lang.code}/`);
-            } else {
-                // Add language code to path
-                langPath = `/${lang.code}${currentPath}`;
-            }
-            
-            link.href = window.location.origin + langPath;
+            link.href = window.location.origin + Locale.localizePath(window.location.pathname, lang.code);
             document.head.appendChild(link);
         });
     }
@@ -7208,15 +9605,32 @@ const SEO = (function() {
  * INITIALIZATION
  * =========================================================
  */
+
+// Language switches and the proposal are history navigations. Defined
+// once here because initWebsite() runs again after every language swap.
+// Other paths (/blog, /index.html...) don't match and load normally.
+// The bare root is the default language's page, e.g. after Back from /es/
+Router.define('index', '/', () =>
+    Header.switchLanguage(CONFIG.defaultLanguage, '/').then(() => ProposalView.hide()));
+Router.define('home', '/:lang/', ({ lang }) =>
+    Header.switchLanguage(lang, window.location.pathname).then(() => ProposalView.hide()),
+    { lang: Locale.isSupported });
+Router.define('proposal', '/:lang/proposal/:id', ({ lang, id }) =>
+    Header.switchLanguage(lang, window.location.pathname).then(() => ProposalView.show(id)),
+    { lang: Locale.isSupported });
+
 function initWebsite() {
     // Initialize modules in the correct order for dependencies
     Accessibility.init();
     Theme.init();
     Header.init();
+    Locale.init();
     Tabs.init();
     Forms.init();
     CookieConsent.init();
     ProposalView.init();
+    Router.init();
+    Experiments.init();
     Animations.init();
     Utils.init();
     SEO.init();
@@ -7226,6 +9640,21 @@ function initWebsite() {
         I18n.translatePage();
     }
     
+    // Missing-key logging and pseudo-locale for translators
+    TranslationDebug.init();
+    
+    // Restore the snapshot saved when the visitor last left this page
+    PageState.init();
+    
+    // Service worker (offline-support.js) for offline use and queued form submissions
+    if (CONFIG.features.offline) {
+        OfflineSupport.init({
+            version: CONFIG.version,
+            queueEndpoints: [CONFIG.contactFormEndpoint, CONFIG.newsletterEndpoint],
+            onSubmissionsSent: () => Accessibility.announce(I18n.get('formQueueSent'))
+        });
+    }
+    
     // Set up performance tracking for analytics
     if (window.performance && window.performance.mark) {
         window.performance.mark('init_complete');
@@ -7257,5 +9686,7 @@ function initWebsite() {
     console.log('IAA Solutions website initialized successfully');
 }
 
-// Initialize when DOM is ready
-DOMReady(initWebsite);
\ No newline at end of file
+// Initialize when DOM is ready, after any remote config overrides
+DOMReady(() => CONFIG.load()
+    .then(initWebsite)
+    .catch(error => console.error('Website initialization failed:', error)));
\ No newline at end of file
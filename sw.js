@@ -0,0 +1,268 @@
+/**
+ * IAA Solutions - Service Worker
+ * Precaches the critical assets, keeps CDN libraries available offline,
+ * serves a fallback page for uncached navigations and queues contact and
+ * newsletter submissions made offline until the connection is back.
+ *
+ * Registered by OfflineSupport (offline-support.js) from initWebsite as
+ * /sw.js?v=<release version>&queue=<endpoint>&queue=<endpoint>
+ */
+
+const SW_PARAMS = new URL(self.location.href).searchParams;
+const VERSION = SW_PARAMS.get('v') || '0';
+const QUEUE_ENDPOINTS = SW_PARAMS.getAll('queue');
+
+// Every cache is versioned, so a CONFIG.version bump starts from scratch
+const STATIC_CACHE = `iaa-static-v${VERSION}`;
+const CDN_CACHE = `iaa-cdn-v${VERSION}`;
+const PAGES_CACHE = `iaa-pages-v${VERSION}`; // Shared with PageCache
+const CURRENT_CACHES = [STATIC_CACHE, CDN_CACHE, PAGES_CACHE];
+
+const OFFLINE_URL = '/offline.html';
+
+const PRECACHE_URLS = [
+  '/',
+  '/index.html',
+  '/style.css',
+  '/advanced-wave-animations.css',
+  '/script.js',
+  '/offline-support.js',
+  '/webgl-animation-system.js',
+  OFFLINE_URL
+];
+
+// Tailwind, Swiper, AOS, particles.js, countUp, Font Awesome and fonts.
+// Calendly and Stripe stay network-only: their scripts must always be current
+const CDN_HOSTS = [
+  'cdn.tailwindcss.com',
+  'cdn.jsdelivr.net',
+  'cdnjs.cloudflare.com',
+  'fonts.googleapis.com',
+  'fonts.gstatic.com'
+];
+
+const DB_NAME = 'iaa-offline';
+const QUEUE_STORE = 'submissions';
+const SYNC_TAG = 'iaa-submissions';
+
+/**
+ * =========================================================
+ * LIFECYCLE
+ * =========================================================
+ */
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(STATIC_CACHE)
+      // Bypass the HTTP cache so a new version never precaches old files
+      .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('iaa-') && !CURRENT_CACHES.includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * =========================================================
+ * FETCH STRATEGIES
+ * =========================================================
+ */
+
+/**
+ * Answer from the cache when possible and refresh the entry in the
+ * background; the network is only awaited on a miss
+ */
+function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  
+  return caches.open(cacheName).then(cache => cache.match(request, { ignoreSearch: cacheName === STATIC_CACHE })
+    .then(cached => {
+      const network = fetch(request).then(response => {
+        // Opaque responses come from no-cors CDN scripts and can't be inspected
+        if (response.ok || response.type === 'opaque') {
+          cache.put(request, response.clone());
+        }
+        return response;
+      });
+      
+      if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+      }
+      
+      return network;
+    }));
+}
+
+/**
+ * Pages come from the network so content stays current. Offline, use the
+ * copy from an earlier visit or language prefetch, else the fallback page.
+ */
+function networkFirstPage(request) {
+  return fetch(request)
+    .then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(PAGES_CACHE).then(cache => cache.put(request, copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match(request)
+      .then(cached => cached || caches.match(OFFLINE_URL)));
+}
+
+function isQueuedSubmission(request) {
+  if (request.method !== 'POST') return false;
+  
+  const url = new URL(request.url);
+  return QUEUE_ENDPOINTS.includes(url.origin + url.pathname);
+}
+
+/**
+ * Send a form submission, or queue it when the network is unreachable.
+ * The page gets a 202 with `queued: true` so it can tell the visitor.
+ */
+function sendOrQueue(request) {
+  const copy = request.clone();
+  
+  return fetch(request).catch(() => enqueueSubmission(copy).then(() => new Response(
+    JSON.stringify({ queued: true }),
+    { status: 202, headers: { 'Content-Type': 'application/json' } }
+  )));
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  
+  if (isQueuedSubmission(request)) {
+    event.respondWith(sendOrQueue(request));
+    return;
+  }
+  
+  if (request.method !== 'GET') return;
+  
+  const url = new URL(request.url);
+  
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (url.origin === self.location.origin && PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, STATIC_CACHE));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, CDN_CACHE));
+  }
+  // Everything else goes straight to the network
+});
+
+/**
+ * =========================================================
+ * OFFLINE SUBMISSION QUEUE
+ * =========================================================
+ */
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run `operation` against the queue store and resolve with the result
+ * of the request it returns once the transaction has completed
+ */
+function withQueueStore(mode, operation) {
+  return openDatabase().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(QUEUE_STORE, mode);
+    const request = operation(transaction.objectStore(QUEUE_STORE));
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    transaction.onerror = transaction.onabort = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  }));
+}
+
+function enqueueSubmission(request) {
+  return request.arrayBuffer().then(body => withQueueStore('readwrite', store => store.add({
+    url: request.url,
+    method: request.method,
+    headers: Array.from(request.headers.entries()),
+    body,
+    queuedAt: Date.now()
+  }))).then(() => {
+    // Browsers without Background Sync are flushed when a page comes back online
+    if (self.registration.sync) {
+      return self.registration.sync.register(SYNC_TAG).catch(() => {});
+    }
+  });
+}
+
+function notifyClients(message) {
+  return self.clients.matchAll({ includeUncontrolled: true })
+    .then(clients => clients.forEach(client => client.postMessage(message)));
+}
+
+/**
+ * Replay queued submissions oldest first. Rejects if the network is
+ * still down so a sync event gets retried later.
+ */
+function flushQueue() {
+  return withQueueStore('readonly', store => store.getAll()).then(entries => {
+    let sent = 0;
+    
+    const sendNext = index => {
+      if (index >= entries.length) return Promise.resolve();
+      
+      const entry = entries[index];
+      
+      return fetch(entry.url, { method: entry.method, headers: entry.headers, body: entry.body })
+        .then(response => {
+          // Server errors may be temporary; anything else won't change on a retry
+          if (response.status >= 500) {
+            throw new Error(`Queued submission failed: ${response.status}`);
+          }
+          
+          if (response.ok) sent++;
+          return withQueueStore('readwrite', store => store.delete(entry.id));
+        })
+        .then(() => sendNext(index + 1));
+    };
+    
+    return sendNext(0).finally(() => {
+      if (sent > 0) notifyClients({ type: 'submissionsSent', count: sent });
+    });
+  });
+}
+
+self.addEventListener('sync', event => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(flushQueue());
+  }
+});
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'flushSubmissions') {
+    event.waitUntil(flushQueue().catch(error => {
+      console.warn('Queued submissions will be retried:', error.message);
+    }));
+  }
+});
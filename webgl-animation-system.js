@@ -4,6 +4,54 @@
  * using WebGL for accelerated graphics rendering.
  */
 
+// Workers load this same file for the OffscreenCanvas backend
+const NEURAL_NETWORK_SCRIPT_URL = typeof document !== 'undefined' && document.currentScript
+  ? document.currentScript.src
+  : null;
+
+/**
+ * requestAnimationFrame, with a timer fallback for workers that lack it
+ */
+const requestFrame = typeof requestAnimationFrame === 'function'
+  ? callback => requestAnimationFrame(callback)
+  : callback => setTimeout(() => callback(performance.now()), 1000 / 60);
+
+const cancelFrame = typeof cancelAnimationFrame === 'function'
+  ? id => cancelAnimationFrame(id)
+  : id => clearTimeout(id);
+
+// Smallest spatial grid cell in CSS pixels; tiny connection distances would
+// otherwise allocate and clear millions of cells every frame
+const MIN_GRID_CELL_SIZE = 16;
+
+/**
+ * Create a seeded PRNG (mulberry32) that returns floats in [0, 1) like
+ * Math.random. String seeds are hashed with FNV-1a, so data-seed="hero" works.
+ */
+function createSeededRandom(seed) {
+  let state;
+  
+  if (typeof seed === 'number') {
+    state = seed >>> 0;
+  } else {
+    state = 2166136261;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+      state ^= text.charCodeAt(i);
+      state = Math.imul(state, 16777619);
+    }
+    state >>>= 0;
+  }
+  
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 class WebGLNeuralNetwork {
   constructor(container, options = {}) {
     // Get container element
@@ -11,7 +59,8 @@ class WebGLNeuralNetwork {
       ? document.querySelector(container) 
       : container;
       
-    if (!this.container) {
+    // Worker-hosted networks render to a transferred canvas with no container
+    if (!this.container && !options.canvas) {
       console.warn('WebGL neural network container not found');
       return;
     }
@@ -30,28 +79,87 @@ class WebGLNeuralNetwork {
       adaptivePerformance: true,
       theme: 'light', // 'light' or 'dark'
       dataFlowEffect: true,
+      gpuSimulation: true, // Use transform feedback when WebGL 2 is available
+      layout: 'random', // Any key of WebGLNeuralNetwork.layouts
+      layers: [4, 6, 6, 3], // Nodes per layer for the 'layered' layout
+      clusters: 5, // Community count for the 'clusters' layout
+      graph: null, // { nodes: [{ id, x, y }], edges: [[source, target]] } for the 'graph' layout
+      graphSrc: null, // URL of a JSON graph for the 'graph' layout
+      dataFlowRate: 1.5, // Ambient pulses spawned per second
+      dataFlowSpeed: 2, // Pulse travel in pixels per frame
+      dataFlowColor: [0.55, 0.5, 1.0, 0.9], // Bright neural violet
+      maxPulses: 200,
+      seed: null, // Number or string for reproducible frames; also pins node density
+      autoplay: true, // false waits for step() to advance the clock
+      contextRestoreTimeout: 3000, // ms to wait for a lost context before using Canvas
+      offscreen: false, // Render in a Web Worker via OffscreenNeuralNetwork where supported
+      canvas: null, // OffscreenCanvas supplied inside the worker
+      hostSize: null, // { width, height, dpr } of the page canvas, inside the worker
+      onEvent: null, // Event callback inside the worker
+      // CSS custom properties each colour follows; the first one that
+      // resolves on the container wins. Explicit colour options take priority.
+      colorTokens: WebGLNeuralNetwork.colorTokens,
+      backgroundColor: null, // Clear colour; null keeps the canvas transparent in both themes
       ...options
     };
     
+    // Colours passed in explicitly are never replaced by tokens
+    this.explicitColors = Object.keys(WebGLNeuralNetwork.colorTokens).filter(key => options[key]);
+    this.applyThemeColors();
+    
     // Initialize state
     this.width = 0;
     this.height = 0;
-    this.dpr = window.devicePixelRatio || 1;
+    this.hostSize = this.options.hostSize;
+    this.dpr = this.getDevicePixelRatio();
     this.time = 0;
     this.nodes = [];
+    this.edges = null;
+    this.connectionPairs = [];
+    this.pulses = [];
+    this.pulseSpawnBudget = 0;
+    this.lastPulseTime = 0;
     this.mouse = { x: 0, y: 0, active: false };
     this.isVisible = true;
     this.shouldRender = true;
     this.performanceLevel = 'high';
+    this.gpuSimulation = null;
+    this.frameData = null;
+    this.contextLost = false;
+    this.listeners = [];
+    this.glowIntensity = 1;
+    this.reducedMotion = false;
+    
+    // Seeded mode drives every random choice from one PRNG
+    this.seeded = this.options.seed !== null && this.options.seed !== undefined;
+    this.random = this.seeded
+      ? createSeededRandom(this.options.seed)
+      : Math.random;
+    
+    // Manual clock: time only advances through step()
+    this.manualClock = !this.options.autoplay;
     
     // Initialize WebGL
     this.initWebGL();
     
-    // Check for performance issues and adapt
-    if (this.options.adaptivePerformance) {
+    // Remember requested density; quality levels scale from it
+    this.baseQuality = {
+      nodeCount: this.options.nodeCount,
+      connectionDistance: this.options.connectionDistance
+    };
+    
+    // Check for performance issues and adapt. A seed has to give the same
+    // scene on every machine, so seeded networks skip the benchmark.
+    if (this.options.adaptivePerformance && !this.seeded) {
       this.checkPerformance();
     }
     
+    // Keep adapting to measured frame times at runtime
+    this.setupQualityGovernor();
+    
+    // Size the canvas first so layouts can place nodes
+    this.resize();
+    
     // Create nodes data
     this.createNodes();
     
@@ -59,18 +167,75 @@ class WebGLNeuralNetwork {
     this.setupEventListeners();
     
     // Start animation loop
-    this.resize();
     this.animate();
   }
   
+  /**
+   * Resolve CSS custom properties on an element to WebGL RGBA float arrays.
+   * Each token is a property name or a list of names to try in order.
+   * Colours are painted to a 1x1 canvas, so any CSS colour syntax (hex,
+   * rgb, oklch...) comes back as sRGB; alphas scale the token's own alpha.
+   */
+  static resolveColorTokens(element, tokens, alphas = {}) {
+    if (!WebGLNeuralNetwork.colorProbe) {
+      const probe = document.createElement('canvas');
+      probe.width = 1;
+      probe.height = 1;
+      WebGLNeuralNetwork.colorProbe = probe.getContext('2d', { willReadFrequently: true });
+    }
+    
+    const ctx = WebGLNeuralNetwork.colorProbe;
+    const style = getComputedStyle(element);
+    const colors = {};
+    
+    Object.entries(tokens || {}).forEach(([key, names]) => {
+      const value = [].concat(names || [])
+        .map(name => style.getPropertyValue(name).trim())
+        .find(Boolean);
+      
+      if (!value) return;
+      
+      // Invalid colours leave fillStyle untouched, so check with a sentinel
+      ctx.fillStyle = '#010203';
+      ctx.fillStyle = value;
+      if (ctx.fillStyle === '#010203' && value !== '#010203') return;
+      
+      ctx.clearRect(0, 0, 1, 1);
+      ctx.fillRect(0, 0, 1, 1);
+      const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+      const alpha = alphas[key] !== undefined ? alphas[key] : 1;
+      
+      colors[key] = [r / 255, g / 255, b / 255, (a / 255) * alpha];
+    });
+    
+    return colors;
+  }
+  
+  /**
+   * Take colours from the container's theme tokens
+   */
+  applyThemeColors() {
+    // Worker-hosted networks get resolved colours from the page
+    if (!this.container) return;
+    
+    const tokens = { ...this.options.colorTokens };
+    this.explicitColors.forEach(key => delete tokens[key]);
+    
+    Object.assign(this.options, WebGLNeuralNetwork.resolveColorTokens(this.container, tokens, WebGLNeuralNetwork.colorAlphas));
+  }
+  
   /**
    * Initialize WebGL context and set up shaders
    */
   initWebGL() {
-    // Create canvas
-    this.canvas = document.createElement('canvas');
-    this.canvas.classList.add('ai-webgl-canvas');
-    this.container.appendChild(this.canvas);
+    // Create canvas, unless the page transferred one to this worker
+    if (this.options.canvas) {
+      this.canvas = this.options.canvas;
+    } else {
+      this.canvas = document.createElement('canvas');
+      this.canvas.classList.add('ai-webgl-canvas');
+      this.container.appendChild(this.canvas);
+    }
     
     // Get WebGL context (try WebGL 2 first, then fallback to WebGL 1)
     this.gl = this.canvas.getContext('webgl2') || this.canvas.getContext('webgl') || this.canvas.getContext('experimental-webgl');
@@ -86,6 +251,9 @@ class WebGLNeuralNetwork {
     
     // Create buffers for nodes and connections
     this.createBuffers();
+    
+    // Move node simulation to the GPU where supported
+    this.setupGPUSimulation();
   }
   
   /**
@@ -149,11 +317,16 @@ class WebGLNeuralNetwork {
     // Connection Vertex Shader
     const connectionVertexShaderSource = `
       attribute vec2 aPosition;
+      attribute float aIntensity;
       
       uniform vec2 uResolution;
       uniform float uTime;
       
+      varying float vIntensity;
+      
       void main() {
+        vIntensity = aIntensity;
+        
         // Convert from pixel space to clip space
         vec2 position = aPosition / uResolution * 2.0 - 1.0;
         position.y *= -1.0;
@@ -169,8 +342,11 @@ class WebGLNeuralNetwork {
       uniform vec4 uConnectionColor;
       uniform float uTime;
       
+      varying float vIntensity;
+      
       void main() {
-        gl_FragColor = uConnectionColor;
+        // Intensity fades data-flow trails; plain connections use 1.0
+        gl_FragColor = vec4(uConnectionColor.rgb, uConnectionColor.a * vIntensity);
       }
     `;
     
@@ -188,6 +364,7 @@ class WebGLNeuralNetwork {
     
     // Get attribute and uniform locations for connection program
     this.connectionProgram.aPosition = this.gl.getAttribLocation(this.connectionProgram, 'aPosition');
+    this.connectionProgram.aIntensity = this.gl.getAttribLocation(this.connectionProgram, 'aIntensity');
     this.connectionProgram.uResolution = this.gl.getUniformLocation(this.connectionProgram, 'uResolution');
     this.connectionProgram.uTime = this.gl.getUniformLocation(this.connectionProgram, 'uTime');
     this.connectionProgram.uConnectionColor = this.gl.getUniformLocation(this.connectionProgram, 'uConnectionColor');
@@ -196,7 +373,7 @@ class WebGLNeuralNetwork {
   /**
    * Create and compile a WebGL shader program
    */
-  createShaderProgram(vertexSource, fragmentSource) {
+  createShaderProgram(vertexSource, fragmentSource, feedbackVaryings = null) {
     const vertexShader = this.gl.createShader(this.gl.VERTEX_SHADER);
     this.gl.shaderSource(vertexShader, vertexSource);
     this.gl.compileShader(vertexShader);
@@ -218,6 +395,12 @@ class WebGLNeuralNetwork {
     const program = this.gl.createProgram();
     this.gl.attachShader(program, vertexShader);
     this.gl.attachShader(program, fragmentShader);
+    
+    // Transform feedback outputs must be declared before linking
+    if (feedbackVaryings) {
+      this.gl.transformFeedbackVaryings(program, feedbackVaryings, this.gl.SEPARATE_ATTRIBS);
+    }
+    
     this.gl.linkProgram(program);
     
     if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
@@ -240,49 +423,429 @@ class WebGLNeuralNetwork {
     
     // Connection position buffer
     this.connectionPositionBuffer = this.gl.createBuffer();
+    
+    // Data-flow pulse trail buffers
+    this.pulsePositionBuffer = this.gl.createBuffer();
+    this.pulseIntensityBuffer = this.gl.createBuffer();
+  }
+  
+  /**
+   * Set up transform feedback node simulation (WebGL 2 only).
+   * Mirrors updateNodes(): the CPU path remains the WebGL 1 fallback.
+   */
+  setupGPUSimulation() {
+    const isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' &&
+      this.gl instanceof WebGL2RenderingContext;
+    
+    if (!isWebGL2 || !this.options.gpuSimulation) {
+      return;
+    }
+    
+    // Simulation Vertex Shader: one vertex per node, x/y/vx/vy in aState
+    const simulationVertexShaderSource = `#version 300 es
+      in vec4 aState;
+      in vec3 aStatic; // size, originalSize, pulseOffset
+      in vec3 aAnchor; // x, y, anchored
+      
+      uniform vec2 uResolution;
+      uniform float uTime;
+      uniform vec3 uMouse; // x, y, active
+      uniform float uConnectionDistance;
+      uniform float uSpeed;
+      uniform float uPulseEffect;
+      
+      out vec4 vState;
+      out float vSize;
+      
+      const float REPEL_FACTOR = -1.0; // Negative for repel, positive for attract
+      const float ANCHOR_STRENGTH = 0.002;
+      const float ANCHOR_DAMPING = 0.98;
+      
+      void main() {
+        vec2 velocity = aState.zw;
+        
+        // Pull structured layouts back towards their anchor
+        if (aAnchor.z > 0.5) {
+          velocity += (aAnchor.xy - aState.xy) * ANCHOR_STRENGTH;
+          velocity *= ANCHOR_DAMPING;
+        }
+        
+        vec2 position = aState.xy + velocity;
+        
+        // Boundary checks
+        if (position.x < 0.0 || position.x > uResolution.x) {
+          velocity.x *= -1.0;
+          position.x = clamp(position.x, 0.0, uResolution.x);
+        }
+        
+        if (position.y < 0.0 || position.y > uResolution.y) {
+          velocity.y *= -1.0;
+          position.y = clamp(position.y, 0.0, uResolution.y);
+        }
+        
+        // Apply pulse effect
+        float size = aStatic.x;
+        if (uPulseEffect > 0.5) {
+          size = aStatic.y * (1.0 + 0.2 * sin(uTime * 0.002 + aStatic.z));
+        }
+        
+        // Mouse interaction
+        if (uMouse.z > 0.5) {
+          vec2 delta = uMouse.xy - position;
+          float dist = length(delta);
+          float maxDistance = uConnectionDistance * 1.5;
+          
+          if (dist < maxDistance) {
+            float influence = (1.0 - dist / maxDistance) * 0.05;
+            velocity += delta * influence * REPEL_FACTOR;
+            
+            // Limit velocity
+            float maxVelocity = uSpeed * 2.0;
+            float velocityMagnitude = length(velocity);
+            
+            if (velocityMagnitude > maxVelocity) {
+              velocity *= maxVelocity / velocityMagnitude;
+            }
+          }
+        }
+        
+        vState = vec4(position, velocity);
+        vSize = size;
+      }
+    `;
+    
+    // Rasterization is discarded, but WebGL 2 still requires a fragment stage
+    const simulationFragmentShaderSource = `#version 300 es
+      precision mediump float;
+      
+      out vec4 fragColor;
+      
+      void main() {
+        fragColor = vec4(0.0);
+      }
+    `;
+    
+    const program = this.createShaderProgram(
+      simulationVertexShaderSource,
+      simulationFragmentShaderSource,
+      ['vState', 'vSize']
+    );
+    
+    if (!program) {
+      console.warn('GPU node simulation unavailable, using CPU simulation');
+      return;
+    }
+    
+    program.aState = this.gl.getAttribLocation(program, 'aState');
+    program.aStatic = this.gl.getAttribLocation(program, 'aStatic');
+    program.aAnchor = this.gl.getAttribLocation(program, 'aAnchor');
+    program.uResolution = this.gl.getUniformLocation(program, 'uResolution');
+    program.uTime = this.gl.getUniformLocation(program, 'uTime');
+    program.uMouse = this.gl.getUniformLocation(program, 'uMouse');
+    program.uConnectionDistance = this.gl.getUniformLocation(program, 'uConnectionDistance');
+    program.uSpeed = this.gl.getUniformLocation(program, 'uSpeed');
+    program.uPulseEffect = this.gl.getUniformLocation(program, 'uPulseEffect');
+    
+    this.gpuSimulation = {
+      program,
+      transformFeedback: this.gl.createTransformFeedback(),
+      // Ping-pong state buffers: read from one, write to the other
+      stateBuffers: [this.gl.createBuffer(), this.gl.createBuffer()],
+      staticBuffer: this.gl.createBuffer(),
+      // Steps are copied here and read back once their fence has signalled
+      readbackBuffer: this.gl.createBuffer(),
+      readbackFence: null,
+      current: 0,
+      readback: new Float32Array(0)
+    };
+  }
+  
+  /**
+   * Upload CPU node state to the GPU simulation buffers
+   */
+  syncGPUState() {
+    const sim = this.gpuSimulation;
+    if (!sim) return;
+    
+    const gl = this.gl;
+    const count = this.nodes.length;
+    const stateData = new Float32Array(count * 4);
+    const staticData = new Float32Array(count * 6);
+    
+    this.nodes.forEach((node, i) => {
+      stateData[i * 4] = node.x;
+      stateData[i * 4 + 1] = node.y;
+      stateData[i * 4 + 2] = node.vx;
+      stateData[i * 4 + 3] = node.vy;
+      staticData[i * 6] = node.size;
+      staticData[i * 6 + 1] = node.originalSize;
+      staticData[i * 6 + 2] = node.pulseOffset;
+      staticData[i * 6 + 3] = node.anchor ? node.anchor.x : 0;
+      staticData[i * 6 + 4] = node.anchor ? node.anchor.y : 0;
+      staticData[i * 6 + 5] = node.anchor ? 1 : 0;
+    });
+    
+    sim.stateBuffers.forEach(buffer => {
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+      gl.bufferData(gl.ARRAY_BUFFER, stateData, gl.DYNAMIC_COPY);
+    });
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, sim.staticBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, staticData, gl.STATIC_DRAW);
+    
+    // Sizes are written by the simulation pass
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.nodeSizeBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, count * 4, gl.DYNAMIC_COPY);
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, sim.readbackBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, count * 16, gl.STREAM_READ);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    
+    // Any pending readback refers to the old layout
+    if (sim.readbackFence) {
+      gl.deleteSync(sim.readbackFence);
+      sim.readbackFence = null;
+    }
+    
+    sim.readback = stateData;
+    sim.current = 0;
+  }
+  
+  /**
+   * Advance node state on the GPU with transform feedback
+   */
+  updateNodesGPU() {
+    const sim = this.gpuSimulation;
+    const gl = this.gl;
+    const count = this.nodes.length;
+    
+    if (count === 0) return;
+    
+    // Pick up an earlier step if the GPU has finished it
+    this.readGPUState();
+    
+    const source = sim.stateBuffers[sim.current];
+    const target = sim.stateBuffers[1 - sim.current];
+    const program = sim.program;
+    
+    gl.useProgram(program);
+    gl.uniform2f(program.uResolution, this.width, this.height);
+    gl.uniform1f(program.uTime, this.time);
+    gl.uniform3f(program.uMouse, this.mouse.x, this.mouse.y, this.mouse.active ? 1 : 0);
+    gl.uniform1f(program.uConnectionDistance, this.options.connectionDistance);
+    gl.uniform1f(program.uSpeed, this.options.speed);
+    gl.uniform1f(program.uPulseEffect, this.options.pulseEffect ? 1 : 0);
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, source);
+    gl.vertexAttribPointer(program.aState, 4, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(program.aState);
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, sim.staticBuffer);
+    gl.vertexAttribPointer(program.aStatic, 3, gl.FLOAT, false, 24, 0);
+    gl.enableVertexAttribArray(program.aStatic);
+    gl.vertexAttribPointer(program.aAnchor, 3, gl.FLOAT, false, 24, 12);
+    gl.enableVertexAttribArray(program.aAnchor);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    
+    // Run the simulation without rasterizing anything
+    gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, sim.transformFeedback);
+    gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, target);
+    gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 1, this.nodeSizeBuffer);
+    gl.enable(gl.RASTERIZER_DISCARD);
+    
+    gl.beginTransformFeedback(gl.POINTS);
+    gl.drawArrays(gl.POINTS, 0, count);
+    gl.endTransformFeedback();
+    
+    gl.disable(gl.RASTERIZER_DISCARD);
+    gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, null);
+    gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 1, null);
+    gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, null);
+    
+    gl.disableVertexAttribArray(program.aState);
+    gl.disableVertexAttribArray(program.aStatic);
+    gl.disableVertexAttribArray(program.aAnchor);
+    
+    sim.current = 1 - sim.current;
+    
+    this.requestGPUReadback();
+    
+    // Manual stepping captures exact frames, so it waits for this step
+    if (this.manualClock) {
+      this.readGPUState(true);
+    }
+  }
+  
+  /**
+   * Copy the step just simulated aside and fence it, unless an earlier
+   * copy is still in flight. Connections and pulses keep using the last
+   * positions read back until the fence signals.
+   */
+  requestGPUReadback() {
+    const sim = this.gpuSimulation;
+    const gl = this.gl;
+    
+    if (sim.readbackFence) return;
+    
+    gl.bindBuffer(gl.COPY_READ_BUFFER, sim.stateBuffers[sim.current]);
+    gl.bindBuffer(gl.COPY_WRITE_BUFFER, sim.readbackBuffer);
+    gl.copyBufferSubData(gl.COPY_READ_BUFFER, gl.COPY_WRITE_BUFFER, 0, 0, this.nodes.length * 16);
+    gl.bindBuffer(gl.COPY_READ_BUFFER, null);
+    gl.bindBuffer(gl.COPY_WRITE_BUFFER, null);
+    
+    sim.readbackFence = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+  }
+  
+  /**
+   * Copy the fenced GPU node state into this.nodes. Returns without
+   * touching the nodes while the GPU is still busy, unless wait is set.
+   */
+  readGPUState(wait = false) {
+    const sim = this.gpuSimulation;
+    const gl = this.gl;
+    
+    if (!sim.readbackFence) return;
+    
+    const status = gl.clientWaitSync(sim.readbackFence, 0, 0);
+    if (status === gl.TIMEOUT_EXPIRED && !wait) return;
+    
+    gl.deleteSync(sim.readbackFence);
+    sim.readbackFence = null;
+    
+    if (status === gl.WAIT_FAILED) return;
+    
+    const count = this.nodes.length;
+    if (sim.readback.length !== count * 4) {
+      sim.readback = new Float32Array(count * 4);
+    }
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, sim.readbackBuffer);
+    gl.getBufferSubData(gl.ARRAY_BUFFER, 0, sim.readback);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    
+    const data = sim.readback;
+    this.nodes.forEach((node, i) => {
+      node.x = data[i * 4];
+      node.y = data[i * 4 + 1];
+      node.vx = data[i * 4 + 2];
+      node.vy = data[i * 4 + 3];
+    });
   }
   
   /**
-   * Initialize node data
+   * Initialize node data from the configured layout
    */
   createNodes() {
+    const layouts = WebGLNeuralNetwork.layouts;
+    let layout = layouts[this.options.layout];
+    
+    if (!layout) {
+      console.warn(`Unknown neural network layout "${this.options.layout}", using random`);
+      layout = layouts.random;
+    }
+    
+    // Fetch remote graphs once, then lay them out
+    if (this.options.layout === 'graph' && !this.options.graph && this.options.graphSrc) {
+      this.loadGraph(this.options.graphSrc);
+    }
+    
+    const { positions, edges = null, anchored = false } = layout(this);
+    
     this.nodes = [];
-    const count = this.adjustNodeCountForPerformance();
     
-    for (let i = 0; i < count; i++) {
-      this.nodes.push({
-        x: Math.random() * this.width,
-        y: Math.random() * this.height,
-        vx: (Math.random() - 0.5) * this.options.speed,
-        vy: (Math.random() - 0.5) * this.options.speed,
-        size: Math.random() * this.options.nodeSize + 1.5,
-        originalSize: Math.random() * this.options.nodeSize + 1.5,
-        pulseOffset: Math.random() * Math.PI * 2
+    positions.forEach(position => {
+      this.nodes.push(this.createNode(position, anchored));
+    });
+    
+    // Old pulses point at nodes that no longer exist
+    this.pulses = [];
+    this.connectionPairs = [];
+    
+    // Explicit edges replace the distance threshold
+    this.edges = edges
+      ? edges.filter(([a, b]) => a !== b && this.nodes[a] && this.nodes[b])
+      : null;
+    
+    this.syncGPUState();
+  }
+  
+  /**
+   * Create one node at a normalised 0-1 position
+   */
+  createNode(position, anchored = false) {
+    const x = position.x * this.width;
+    const y = position.y * this.height;
+    
+    return {
+      x,
+      y,
+      vx: (this.random() - 0.5) * this.options.speed,
+      vy: (this.random() - 0.5) * this.options.speed,
+      size: this.random() * this.options.nodeSize + 1.5,
+      originalSize: this.random() * this.options.nodeSize + 1.5,
+      pulseOffset: this.random() * Math.PI * 2,
+      // Normalised home position for structured layouts
+      anchor: anchored ? { u: position.x, v: position.y, x, y } : null
+    };
+  }
+  
+  /**
+   * Load a JSON graph for the 'graph' layout
+   */
+  loadGraph(url) {
+    if (this.graphRequest) return this.graphRequest;
+    
+    this.graphRequest = fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(graph => {
+        this.options.graph = graph;
+        this.createNodes();
+        return graph;
+      })
+      .catch(error => {
+        console.warn('Could not load neural network graph:', error);
       });
-    }
+    
+    return this.graphRequest;
   }
   
   /**
    * Set up event listeners for interaction and visibility
    */
   setupEventListeners() {
+    // Recover from GPU resets (e.g. mobile tab switches) instead of going blank
+    if (this.gl) {
+      this.listen(this.canvas, 'webglcontextlost', this.handleContextLost.bind(this));
+      this.listen(this.canvas, 'webglcontextrestored', this.handleContextRestored.bind(this));
+    }
+    
+    // In a worker, the page forwards input, size and visibility
+    if (!this.container) {
+      return;
+    }
+    
     // Resize handler
-    window.addEventListener('resize', this.resize.bind(this));
+    this.listen(window, 'resize', this.resize.bind(this));
     
     // Mouse interaction
     if (this.options.interactive) {
-      this.container.addEventListener('mousemove', this.handleMouseMove.bind(this));
-      this.container.addEventListener('mouseleave', () => {
+      this.listen(this.container, 'mousemove', this.handleMouseMove.bind(this));
+      this.listen(this.container, 'mouseleave', () => {
         this.mouse.active = false;
       });
-      this.container.addEventListener('mouseenter', () => {
+      this.listen(this.container, 'mouseenter', () => {
         this.mouse.active = true;
       });
       
       // Touch support
-      this.container.addEventListener('touchmove', this.handleTouchMove.bind(this));
-      this.container.addEventListener('touchstart', this.handleTouchMove.bind(this));
-      this.container.addEventListener('touchend', () => {
+      this.listen(this.container, 'touchmove', this.handleTouchMove.bind(this));
+      this.listen(this.container, 'touchstart', this.handleTouchMove.bind(this));
+      this.listen(this.container, 'touchend', () => {
         this.mouse.active = false;
       });
     }
@@ -299,11 +862,87 @@ class WebGLNeuralNetwork {
     }
     
     // Pause animation when tab is not active
-    document.addEventListener('visibilitychange', () => {
+    this.listen(document, 'visibilitychange', () => {
       this.shouldRender = document.visibilityState === 'visible';
     });
   }
   
+  /**
+   * Add an event listener that destroy() will remove
+   */
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+  
+  /**
+   * Dispatch an event from the container; it bubbles so pages can listen
+   * on document
+   */
+  emit(type, detail = {}) {
+    // Worker-hosted networks report back to the page through a callback
+    if (!this.container) {
+      if (this.options.onEvent) {
+        this.options.onEvent(type, detail);
+      }
+      return;
+    }
+    
+    this.container.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      detail: { network: this, ...detail }
+    }));
+  }
+  
+  /**
+   * Pause rendering while the GPU context is gone
+   */
+  handleContextLost(e) {
+    // Tell the browser we want the context back
+    e.preventDefault();
+    
+    this.contextLost = true;
+    
+    // Every GL handle died with the context
+    this.gpuSimulation = null;
+    this.frameData = null;
+    
+    this.emit('webgl:lost');
+    
+    // Give up on WebGL if the context doesn't come back
+    clearTimeout(this.contextRestoreTimer);
+    this.contextRestoreTimer = setTimeout(() => {
+      if (this.contextLost) {
+        this.fallbackToCanvas('context-lost');
+      }
+    }, this.options.contextRestoreTimeout);
+  }
+  
+  /**
+   * Rebuild shaders and buffers on the restored context
+   */
+  handleContextRestored() {
+    clearTimeout(this.contextRestoreTimer);
+    
+    try {
+      this.setupShaders();
+      this.createBuffers();
+      this.setupGPUSimulation();
+    } catch (error) {
+      console.error('Could not restore WebGL context:', error);
+      this.fallbackToCanvas('restore-failed');
+      return;
+    }
+    
+    this.contextLost = false;
+    
+    // Keep node positions; only GPU-side state needs rebuilding
+    this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    this.syncGPUState();
+    
+    this.emit('webgl:restored');
+  }
+  
   /**
    * Handle mouse movement for interaction
    */
@@ -332,24 +971,70 @@ class WebGLNeuralNetwork {
    */
   resize() {
     // Get current dimensions
-    const rect = this.container.getBoundingClientRect();
+    const rect = this.container ? this.container.getBoundingClientRect() : this.hostSize;
     this.width = rect.width;
     this.height = rect.height;
     
+    this.applyCanvasSize();
+    
+    // Reset node positions for new dimensions
+    this.nodes.forEach(node => {
+      if (node.anchor) {
+        node.anchor.x = node.anchor.u * this.width;
+        node.anchor.y = node.anchor.v * this.height;
+        node.x = node.anchor.x;
+        node.y = node.anchor.y;
+      } else {
+        node.x = this.random() * this.width;
+        node.y = this.random() * this.height;
+      }
+    });
+    
+    this.syncGPUState();
+  }
+  
+  /**
+   * Size the canvas backing store for the current dimensions and pixel ratio
+   */
+  applyCanvasSize() {
     // Set canvas size accounting for pixel ratio
     this.canvas.width = this.width * this.dpr;
     this.canvas.height = this.height * this.dpr;
-    this.canvas.style.width = `${this.width}px`;
-    this.canvas.style.height = `${this.height}px`;
     
-    // Adjust WebGL viewport
-    this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    // OffscreenCanvas has no style; the page sizes its element
+    if (this.canvas.style) {
+      this.canvas.style.width = `${this.width}px`;
+      this.canvas.style.height = `${this.height}px`;
+    }
     
-    // Reset node positions for new dimensions
-    this.nodes.forEach(node => {
-      node.x = Math.random() * this.width;
-      node.y = Math.random() * this.height;
-    });
+    // Adjust WebGL viewport, or scale the 2D context for the pixel ratio
+    if (this.gl) {
+      this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    } else if (this.ctx) {
+      this.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+    }
+  }
+  
+  /**
+   * Device pixel ratio of the page, even when running in a worker
+   */
+  getDevicePixelRatio() {
+    if (this.hostSize) {
+      return this.hostSize.dpr || 1;
+    }
+    
+    return window.devicePixelRatio || 1;
+  }
+  
+  /**
+   * Apply a new page canvas size forwarded to a worker-hosted network
+   */
+  setHostSize(size) {
+    const level = WebGLNeuralNetwork.qualityLevels[this.performanceLevel];
+    
+    this.hostSize = size;
+    this.dpr = Math.min(this.getDevicePixelRatio(), level ? level.maxDpr : Infinity);
+    this.resize();
   }
   
   /**
@@ -360,13 +1045,13 @@ class WebGLNeuralNetwork {
     const isLowEndDevice = 
       (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 4) ||
       /Android|webOS|iPhone|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) ||
-      (window.matchMedia && window.matchMedia('(max-width: 768px)').matches);
+      (self.matchMedia && self.matchMedia('(max-width: 768px)').matches);
     
     // Check for mid-range devices
     const isMidRangeDevice =
       (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 6) ||
       /iPad|Android Tablet/i.test(navigator.userAgent) ||
-      (window.matchMedia && window.matchMedia('(max-width: 1024px)').matches);
+      (self.matchMedia && self.matchMedia('(max-width: 1024px)').matches);
     
     // Adjust settings based on device capabilities
     if (isLowEndDevice) {
@@ -389,6 +1074,8 @@ class WebGLNeuralNetwork {
    * Run a quick WebGL benchmark to test rendering performance
    */
   runWebGLBenchmark() {
+    if (!this.gl) return;
+    
     // Simple benchmark: render 1000 points and measure time
     const benchmarkStart = performance.now();
     
@@ -467,6 +1154,11 @@ class WebGLNeuralNetwork {
     // Base count from options
     let nodeCount = this.options.nodeCount;
     
+    // Seeded scenes keep the requested count whatever the screen or level
+    if (this.seeded) {
+      return nodeCount;
+    }
+    
     // Adjust based on screen size
     const screenArea = this.width * this.height;
     const referenceArea = 1920 * 1080; // Reference screen size
@@ -474,28 +1166,285 @@ class WebGLNeuralNetwork {
     
     nodeCount = Math.floor(nodeCount * sizeRatio);
     
-    // Apply performance level adjustment
+    // Apply performance level adjustment. Connection search is grid based,
+    // so these caps only guard fill rate on weaker GPUs.
     if (this.performanceLevel === 'low') {
-      nodeCount = Math.min(nodeCount, 50);
+      nodeCount = Math.min(nodeCount, 300);
     } else if (this.performanceLevel === 'medium') {
-      nodeCount = Math.min(nodeCount, 100);
+      nodeCount = Math.min(nodeCount, 600);
     }
     
     return nodeCount;
   }
   
   /**
-   * Update node positions and interactions
+   * Set up frame-time tracking and the runtime quality governor
    */
-  updateNodes() {
-    this.nodes.forEach(node => {
-      // Update position
-      node.x += node.vx;
-      node.y += node.vy;
+  setupQualityGovernor() {
+    this.frameStats = {
+      samples: new Float32Array(120), // Rolling window of frame intervals
+      sampleCount: 0,
+      sampleIndex: 0,
+      lastFrame: 0,
+      frames: 0,
+      // Each frame counts in the first bucket it fits; the last catches everything slower
+      histogram: [8, 16.7, 33.3, 50, Infinity].map(maxMs => ({ maxMs, count: 0 }))
+    };
+    
+    this.governor = {
+      slowWindows: 0,
+      fastWindows: 0,
+      cooldownUntil: 0,
+      changes: 0
+    };
+    
+    // Never run above the lowest level for reduced-motion users.
+    // Workers have no matchMedia, so the page passes the preference in.
+    this.reducedMotion = !!this.options.reducedMotion;
+    
+    if (self.matchMedia) {
+      const motionQuery = self.matchMedia('(prefers-reduced-motion: reduce)');
+      this.reducedMotion = motionQuery.matches;
       
-      // Boundary checks
-      if (node.x < 0 || node.x > this.width) {
-        node.vx *= -1;
+      if (motionQuery.addEventListener) {
+        this.listen(motionQuery, 'change', e => this.setReducedMotion(e.matches));
+      }
+    }
+    
+    // Level to return to when reduced motion is switched off again
+    this.levelBeforeReducedMotion = this.performanceLevel;
+    
+    this.applyQualityLevel(this.reducedMotion ? 'low' : this.performanceLevel, { initial: true });
+  }
+  
+  /**
+   * Follow a change of the reduced-motion preference
+   */
+  setReducedMotion(reducedMotion) {
+    if (reducedMotion === this.reducedMotion) return;
+    
+    if (reducedMotion) {
+      this.levelBeforeReducedMotion = this.performanceLevel;
+    }
+    
+    this.reducedMotion = reducedMotion;
+    this.applyQualityLevel(reducedMotion ? 'low' : this.levelBeforeReducedMotion);
+  }
+  
+  /**
+   * Record the interval since the previous rendered frame
+   */
+  recordFrameTime(now) {
+    const stats = this.frameStats;
+    const frameTime = now - stats.lastFrame;
+    stats.lastFrame = now;
+    
+    // Ignore the first frame and gaps from paused or hidden rendering
+    if (frameTime <= 0 || frameTime > 250) return;
+    
+    stats.samples[stats.sampleIndex] = frameTime;
+    stats.sampleIndex = (stats.sampleIndex + 1) % stats.samples.length;
+    stats.sampleCount = Math.min(stats.sampleCount + 1, stats.samples.length);
+    stats.frames++;
+    
+    const bucket = stats.histogram.find(entry => frameTime <= entry.maxMs);
+    bucket.count++;
+    
+    // Re-evaluate quality every half second or so
+    if (this.options.adaptivePerformance && stats.frames % 30 === 0) {
+      this.evaluateQuality(now);
+    }
+  }
+  
+  /**
+   * Average frame interval over the rolling window
+   */
+  getAverageFrameTime() {
+    const { samples, sampleCount } = this.frameStats;
+    if (sampleCount === 0) return 0;
+    
+    let total = 0;
+    for (let i = 0; i < sampleCount; i++) {
+      total += samples[i];
+    }
+    
+    return total / sampleCount;
+  }
+  
+  /**
+   * Step quality up or down with hysteresis: slow frames must persist for
+   * a second before downgrading, fast frames for five before upgrading,
+   * and every change is followed by a settling period.
+   */
+  evaluateQuality(now) {
+    const governor = this.governor;
+    const levels = WebGLNeuralNetwork.qualityOrder;
+    const current = levels.indexOf(this.performanceLevel);
+    
+    if (now < governor.cooldownUntil || this.frameStats.sampleCount < 60) {
+      return;
+    }
+    
+    const averageFrameTime = this.getAverageFrameTime();
+    
+    if (averageFrameTime > 22) {
+      governor.slowWindows++;
+      governor.fastWindows = 0;
+    } else if (averageFrameTime < 17.5) {
+      governor.fastWindows++;
+      governor.slowWindows = 0;
+    } else {
+      governor.slowWindows = 0;
+      governor.fastWindows = 0;
+    }
+    
+    if (governor.slowWindows >= 2 && current > 0) {
+      this.applyQualityLevel(levels[current - 1]);
+    } else if (governor.fastWindows >= 10 && current < levels.length - 1 && !this.reducedMotion) {
+      this.applyQualityLevel(levels[current + 1]);
+    }
+  }
+  
+  /**
+   * Apply node density, pixel ratio, glow and connection distance for a level
+   */
+  applyQualityLevel(levelName, { initial = false } = {}) {
+    const level = WebGLNeuralNetwork.qualityLevels[levelName];
+    if (!level) return;
+    
+    const changed = levelName !== this.performanceLevel;
+    this.performanceLevel = levelName;
+    
+    // Pixel ratio and glow are cheap to change
+    this.dpr = Math.min(this.getDevicePixelRatio(), level.maxDpr);
+    this.glowIntensity = level.glow;
+    this.applyCanvasSize();
+    
+    // checkPerformance() already scaled density for the level it picked,
+    // so start-up only rescales when reduced motion chose another one.
+    // Seeded scenes keep the requested density.
+    if ((!initial || changed) && !this.seeded) {
+      this.options.connectionDistance = Math.floor(this.baseQuality.connectionDistance * level.distanceScale);
+      this.options.nodeCount = Math.floor(this.baseQuality.nodeCount * level.nodeScale);
+      
+      // Keep the Canvas fallback within its own limits
+      if (!this.gl) {
+        this.options.nodeCount = Math.min(this.options.nodeCount, 50);
+        this.options.connectionDistance = Math.min(this.options.connectionDistance, 100);
+      }
+      
+      this.applyNodeCount();
+    }
+    
+    if (changed) {
+      this.governor.slowWindows = 0;
+      this.governor.fastWindows = 0;
+      this.governor.cooldownUntil = performance.now() + 2000;
+      this.governor.changes++;
+      this.frameStats.sampleCount = 0;
+    }
+  }
+  
+  /**
+   * Match the node pool to the current node count without resetting the scene
+   */
+  applyNodeCount() {
+    // Layouts with explicit edges (layered, graph) fix their own node set,
+    // so only distance and pixel ratio follow the level
+    if (this.edges) return;
+    
+    const target = this.adjustNodeCountForPerformance();
+    if (target === this.nodes.length) return;
+    
+    // Anchored layouts place every node relative to the others, so lay
+    // them out again, but only when the count actually changed
+    if (this.nodes.some(node => node.anchor)) {
+      this.createNodes();
+      return;
+    }
+    
+    if (target < this.nodes.length) {
+      this.nodes.length = target;
+      this.pulses = this.pulses.filter(pulse => pulse.from < target && pulse.to < target);
+    } else {
+      while (this.nodes.length < target) {
+        this.nodes.push(this.createNode({ x: this.random(), y: this.random() }));
+      }
+    }
+    
+    this.syncGPUState();
+  }
+  
+  /**
+   * Glow colour scaled by the current quality level
+   */
+  getGlowColor() {
+    const [r, g, b, a] = this.options.glowColor;
+    return [r, g, b, a * this.glowIntensity];
+  }
+  
+  /**
+   * Diagnostics: quality level, frame times and scene size
+   */
+  getStats() {
+    const stats = this.frameStats;
+    const sorted = Array.from(stats.samples.subarray(0, stats.sampleCount)).sort((a, b) => a - b);
+    const averageFrameTime = this.getAverageFrameTime();
+    let renderer = 'canvas';
+    
+    if (this.gl) {
+      renderer = typeof WebGL2RenderingContext !== 'undefined' && this.gl instanceof WebGL2RenderingContext
+        ? 'webgl2'
+        : 'webgl';
+    }
+    
+    return {
+      level: this.performanceLevel,
+      adaptive: !!this.options.adaptivePerformance,
+      reducedMotion: this.reducedMotion,
+      qualityChanges: this.governor.changes,
+      fps: averageFrameTime ? Math.round(1000 / averageFrameTime) : 0,
+      frameTime: {
+        average: averageFrameTime,
+        p95: sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0
+      },
+      histogram: stats.histogram.map(({ maxMs, count }) => ({ maxMs, count })),
+      frames: stats.frames,
+      renderer,
+      gpuSimulation: !!this.gpuSimulation,
+      dpr: this.dpr,
+      nodeCount: this.nodes.length,
+      connectionCount: this.connectionPairs.length / 2,
+      pulseCount: this.pulses.length,
+      connectionDistance: this.options.connectionDistance
+    };
+  }
+  
+  /**
+   * Update node positions and interactions
+   */
+  updateNodes() {
+    if (this.gpuSimulation) {
+      this.updateNodesGPU();
+      return;
+    }
+    
+    this.nodes.forEach(node => {
+      // Pull structured layouts back towards their anchor
+      if (node.anchor) {
+        const anchorStrength = 0.002;
+        const anchorDamping = 0.98;
+        node.vx = (node.vx + (node.anchor.x - node.x) * anchorStrength) * anchorDamping;
+        node.vy = (node.vy + (node.anchor.y - node.y) * anchorStrength) * anchorDamping;
+      }
+      
+      // Update position
+      node.x += node.vx;
+      node.y += node.vy;
+      
+      // Boundary checks
+      if (node.x < 0 || node.x > this.width) {
+        node.vx *= -1;
         node.x = Math.max(0, Math.min(this.width, node.x));
       }
       
@@ -545,6 +1494,13 @@ class WebGLNeuralNetwork {
    * Prepare node data for rendering
    */
   prepareNodeData() {
+    // GPU simulation already wrote positions and sizes
+    if (this.gpuSimulation) {
+      return {
+        count: this.nodes.length
+      };
+    }
+    
     // Create arrays for position and size data
     const positionData = new Float32Array(this.nodes.length * 2);
     const sizeData = new Float32Array(this.nodes.length);
@@ -577,23 +1533,39 @@ class WebGLNeuralNetwork {
     
     // Arrays to store connection data
     const connections = [];
+    const neighbors = [];
+    
+    // Node index pairs of active connections, for data-flow pulses
+    const pairs = this.connectionPairs = [];
+    
+    // Nothing can be closer than a zero distance
+    const searchNeighbors = !this.edges && connectionDistance > 0;
+    
+    if (this.edges) {
+      // Layout supplied its own topology
+      this.edges.forEach(([a, b]) => {
+        const nodeA = this.nodes[a];
+        const nodeB = this.nodes[b];
+        connections.push(nodeA.x, nodeA.y, nodeB.x, nodeB.y);
+        pairs.push(a, b);
+      });
+    } else if (searchNeighbors) {
+      // Bucket nodes so each one only checks its surrounding cells
+      this.buildSpatialGrid(connectionDistance);
+    }
     
     // Find connections between nodes
     for (let i = 0; i < this.nodes.length; i++) {
       const nodeA = this.nodes[i];
       
-      // Check connections with other nodes
-      for (let j = i + 1; j < this.nodes.length; j++) {
-        const nodeB = this.nodes[j];
+      // Check connections with nearby nodes
+      if (searchNeighbors) {
+        this.findNeighbors(i, connectionDistance, neighbors);
         
-        // Calculate distance between nodes
-        const dx = nodeA.x - nodeB.x;
-        const dy = nodeA.y - nodeB.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        // Create connection if within threshold
-        if (distance < connectionDistance) {
+        for (let k = 0; k < neighbors.length; k++) {
+          const nodeB = this.nodes[neighbors[k]];
           connections.push(nodeA.x, nodeA.y, nodeB.x, nodeB.y);
+          pairs.push(i, neighbors[k]);
         }
       }
       
@@ -621,6 +1593,105 @@ class WebGLNeuralNetwork {
     };
   }
   
+  /**
+   * Bucket nodes into a uniform grid of cellSize cells, at least
+   * MIN_GRID_CELL_SIZE wide.
+   * Nodes outside the canvas are clamped into the edge cells, which keeps
+   * any two nodes closer than cellSize at most one cell apart.
+   */
+  buildSpatialGrid(cellSize) {
+    cellSize = Math.max(cellSize, MIN_GRID_CELL_SIZE);
+    
+    const nodeCount = this.nodes.length;
+    const cols = Math.max(1, Math.ceil(this.width / cellSize));
+    const rows = Math.max(1, Math.ceil(this.height / cellSize));
+    const cellCount = cols * rows;
+    
+    // Reuse typed arrays between frames, growing them only when needed
+    let grid = this.spatialGrid;
+    if (!grid || grid.cellStart.length < cellCount + 1 || grid.nodeCell.length < nodeCount) {
+      grid = this.spatialGrid = {
+        cellStart: new Int32Array(cellCount + 1),
+        cellCursor: new Int32Array(cellCount),
+        nodeCell: new Int32Array(nodeCount),
+        cellNodes: new Int32Array(nodeCount)
+      };
+    }
+    
+    grid.cols = cols;
+    grid.rows = rows;
+    grid.cellSize = cellSize;
+    
+    const { cellStart, cellCursor, nodeCell, cellNodes } = grid;
+    cellStart.fill(0, 0, cellCount + 1);
+    
+    // Count nodes per cell
+    for (let i = 0; i < nodeCount; i++) {
+      const node = this.nodes[i];
+      const cx = Math.min(cols - 1, Math.max(0, Math.floor(node.x / cellSize)));
+      const cy = Math.min(rows - 1, Math.max(0, Math.floor(node.y / cellSize)));
+      const cell = cy * cols + cx;
+      
+      nodeCell[i] = cell;
+      cellStart[cell + 1]++;
+    }
+    
+    // Turn counts into start offsets
+    for (let c = 0; c < cellCount; c++) {
+      cellStart[c + 1] += cellStart[c];
+      cellCursor[c] = cellStart[c];
+    }
+    
+    // Fill cells in index order so each cell's list stays sorted
+    for (let i = 0; i < nodeCount; i++) {
+      cellNodes[cellCursor[nodeCell[i]]++] = i;
+    }
+    
+    return grid;
+  }
+  
+  /**
+   * Collect indices j > index of nodes closer than maxDistance, in ascending
+   * order, using the grid from buildSpatialGrid()
+   */
+  findNeighbors(index, maxDistance, result) {
+    const grid = this.spatialGrid;
+    const { cols, rows, cellStart, nodeCell, cellNodes } = grid;
+    const node = this.nodes[index];
+    const maxDistanceSq = maxDistance * maxDistance;
+    const cell = nodeCell[index];
+    const cx = cell % cols;
+    const cy = (cell - cx) / cols;
+    
+    result.length = 0;
+    
+    for (let y = Math.max(0, cy - 1); y <= Math.min(rows - 1, cy + 1); y++) {
+      for (let x = Math.max(0, cx - 1); x <= Math.min(cols - 1, cx + 1); x++) {
+        const c = y * cols + x;
+        
+        for (let k = cellStart[c]; k < cellStart[c + 1]; k++) {
+          const j = cellNodes[k];
+          if (j <= index) continue;
+          
+          const other = this.nodes[j];
+          const dx = node.x - other.x;
+          const dy = node.y - other.y;
+          
+          if (dx * dx + dy * dy < maxDistanceSq) {
+            result.push(j);
+          }
+        }
+      }
+    }
+    
+    // Match the order of a full pairwise scan
+    if (result.length > 1) {
+      result.sort((a, b) => a - b);
+    }
+    
+    return result;
+  }
+  
   /**
    * Render nodes using WebGL
    */
@@ -632,11 +1703,16 @@ class WebGLNeuralNetwork {
     this.gl.uniform2f(this.nodeProgram.uResolution, this.width, this.height);
     this.gl.uniform1f(this.nodeProgram.uTime, this.time);
     this.gl.uniform4fv(this.nodeProgram.uNodeColor, this.options.nodeColor);
-    this.gl.uniform4fv(this.nodeProgram.uGlowColor, this.options.glowColor);
+    this.gl.uniform4fv(this.nodeProgram.uGlowColor, this.getGlowColor());
     
-    // Enable attributes
-    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.nodePositionBuffer);
-    this.gl.vertexAttribPointer(this.nodeProgram.aPosition, 2, this.gl.FLOAT, false, 0, 0);
+    // Enable attributes (GPU state is interleaved as x, y, vx, vy)
+    if (this.gpuSimulation) {
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.gpuSimulation.stateBuffers[this.gpuSimulation.current]);
+      this.gl.vertexAttribPointer(this.nodeProgram.aPosition, 2, this.gl.FLOAT, false, 16, 0);
+    } else {
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.nodePositionBuffer);
+      this.gl.vertexAttribPointer(this.nodeProgram.aPosition, 2, this.gl.FLOAT, false, 0, 0);
+    }
     this.gl.enableVertexAttribArray(this.nodeProgram.aPosition);
     
     this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.nodeSizeBuffer);
@@ -677,6 +1753,10 @@ class WebGLNeuralNetwork {
     this.gl.vertexAttribPointer(this.connectionProgram.aPosition, 2, this.gl.FLOAT, false, 0, 0);
     this.gl.enableVertexAttribArray(this.connectionProgram.aPosition);
     
+    // Plain connections draw at full intensity
+    this.gl.disableVertexAttribArray(this.connectionProgram.aIntensity);
+    this.gl.vertexAttrib1f(this.connectionProgram.aIntensity, 1.0);
+    
     // Enable blending for transparent lines
     this.gl.enable(this.gl.BLEND);
     this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
@@ -691,15 +1771,207 @@ class WebGLNeuralNetwork {
     this.gl.disableVertexAttribArray(this.connectionProgram.aPosition);
   }
   
+  /**
+   * Launch data-flow pulses along every active connection of a node.
+   * Each pulse fans out to the next node's connections until hops run out,
+   * so a single call plays a cascade through the network.
+   */
+  firePulse(fromNodeIndex, hops = 3) {
+    if (!this.nodes[fromNodeIndex]) {
+      return 0;
+    }
+    
+    return this.spawnPulsesFrom(fromNodeIndex, -1, hops);
+  }
+  
+  /**
+   * Spawn pulses from a node along its active connections
+   */
+  spawnPulsesFrom(nodeIndex, excludeIndex, hops) {
+    const pairs = this.connectionPairs;
+    let spawned = 0;
+    
+    for (let k = 0; k < pairs.length; k += 2) {
+      let target = -1;
+      if (pairs[k] === nodeIndex) target = pairs[k + 1];
+      else if (pairs[k + 1] === nodeIndex) target = pairs[k];
+      
+      if (target === -1 || target === excludeIndex) continue;
+      if (this.pulses.length >= this.options.maxPulses) break;
+      
+      this.pulses.push({ from: nodeIndex, to: target, progress: 0, hops });
+      spawned++;
+    }
+    
+    return spawned;
+  }
+  
+  /**
+   * Spawn ambient pulses and advance travelling ones
+   */
+  updatePulses() {
+    const elapsed = this.lastPulseTime ? Math.min(this.time - this.lastPulseTime, 100) : 0;
+    this.lastPulseTime = this.time;
+    
+    // Ambient pulses on random active connections
+    if (this.options.dataFlowEffect && !this.reducedMotion && this.connectionPairs.length > 0) {
+      this.pulseSpawnBudget += this.options.dataFlowRate * elapsed / 1000;
+      
+      while (this.pulseSpawnBudget >= 1 && this.pulses.length < this.options.maxPulses) {
+        const pair = Math.floor(this.random() * (this.connectionPairs.length / 2)) * 2;
+        const forward = this.random() < 0.5;
+        
+        this.pulses.push({
+          from: this.connectionPairs[forward ? pair : pair + 1],
+          to: this.connectionPairs[forward ? pair + 1 : pair],
+          progress: 0,
+          hops: 0
+        });
+        this.pulseSpawnBudget--;
+      }
+      
+      this.pulseSpawnBudget = Math.min(this.pulseSpawnBudget, 1);
+    }
+    
+    // Move pulses and cascade on arrival
+    const arrived = [];
+    this.pulses = this.pulses.filter(pulse => {
+      const nodeA = this.nodes[pulse.from];
+      const nodeB = this.nodes[pulse.to];
+      const length = Math.hypot(nodeB.x - nodeA.x, nodeB.y - nodeA.y) || 1;
+      
+      pulse.progress += this.options.dataFlowSpeed / length;
+      
+      if (pulse.progress >= 1) {
+        arrived.push(pulse);
+        return false;
+      }
+      return true;
+    });
+    
+    arrived.forEach(pulse => {
+      if (pulse.hops > 0) {
+        this.spawnPulsesFrom(pulse.to, pulse.from, pulse.hops - 1);
+      }
+    });
+  }
+  
+  /**
+   * Head and tail points of each pulse's trail, in pixels
+   */
+  getPulseSegments() {
+    const trailLength = 14;
+    
+    return this.pulses.map(pulse => {
+      const nodeA = this.nodes[pulse.from];
+      const nodeB = this.nodes[pulse.to];
+      const dx = nodeB.x - nodeA.x;
+      const dy = nodeB.y - nodeA.y;
+      const length = Math.hypot(dx, dy) || 1;
+      const tail = Math.max(0, pulse.progress - trailLength / length);
+      
+      return {
+        headX: nodeA.x + dx * pulse.progress,
+        headY: nodeA.y + dy * pulse.progress,
+        tailX: nodeA.x + dx * tail,
+        tailY: nodeA.y + dy * tail
+      };
+    });
+  }
+  
+  /**
+   * Render data-flow pulses as fading trails with the connection shader
+   */
+  renderPulses() {
+    if (this.pulses.length === 0) return;
+    
+    const segments = this.getPulseSegments();
+    const positionData = new Float32Array(segments.length * 4);
+    const intensityData = new Float32Array(segments.length * 2);
+    
+    segments.forEach((segment, i) => {
+      positionData[i * 4] = segment.tailX;
+      positionData[i * 4 + 1] = segment.tailY;
+      positionData[i * 4 + 2] = segment.headX;
+      positionData[i * 4 + 3] = segment.headY;
+      intensityData[i * 2] = 0;
+      intensityData[i * 2 + 1] = 1;
+    });
+    
+    this.gl.useProgram(this.connectionProgram);
+    
+    // Set uniforms
+    this.gl.uniform2f(this.connectionProgram.uResolution, this.width, this.height);
+    this.gl.uniform1f(this.connectionProgram.uTime, this.time);
+    this.gl.uniform4fv(this.connectionProgram.uConnectionColor, this.options.dataFlowColor);
+    
+    // Enable attributes
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.pulsePositionBuffer);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, positionData, this.gl.DYNAMIC_DRAW);
+    this.gl.vertexAttribPointer(this.connectionProgram.aPosition, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.enableVertexAttribArray(this.connectionProgram.aPosition);
+    
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.pulseIntensityBuffer);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, intensityData, this.gl.DYNAMIC_DRAW);
+    this.gl.vertexAttribPointer(this.connectionProgram.aIntensity, 1, this.gl.FLOAT, false, 0, 0);
+    this.gl.enableVertexAttribArray(this.connectionProgram.aIntensity);
+    
+    // Additive blending makes pulses glow over connections
+    this.gl.enable(this.gl.BLEND);
+    this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE);
+    
+    this.gl.drawArrays(this.gl.LINES, 0, segments.length * 2);
+    
+    // Restore state
+    this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+    this.gl.disableVertexAttribArray(this.connectionProgram.aPosition);
+    this.gl.disableVertexAttribArray(this.connectionProgram.aIntensity);
+  }
+  
+  /**
+   * Render data-flow pulses on the Canvas fallback
+   */
+  renderPulsesCanvas() {
+    if (this.pulses.length === 0) return;
+    
+    const [r, g, b, a] = this.options.dataFlowColor;
+    const color = `rgb(${r * 255}, ${g * 255}, ${b * 255})`;
+    
+    this.getPulseSegments().forEach(segment => {
+      const gradient = this.ctx.createLinearGradient(
+        segment.tailX, segment.tailY,
+        segment.headX, segment.headY
+      );
+      gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+      gradient.addColorStop(1, color);
+      
+      this.ctx.globalAlpha = a;
+      this.ctx.beginPath();
+      this.ctx.moveTo(segment.tailX, segment.tailY);
+      this.ctx.lineTo(segment.headX, segment.headY);
+      this.ctx.strokeStyle = gradient;
+      this.ctx.lineWidth = 1.5;
+      this.ctx.stroke();
+      
+      this.ctx.beginPath();
+      this.ctx.arc(segment.headX, segment.headY, 1.5, 0, Math.PI * 2);
+      this.ctx.fillStyle = color;
+      this.ctx.fill();
+    });
+    
+    this.ctx.lineWidth = 1;
+    this.ctx.globalAlpha = 1;
+  }
+  
   /**
    * Clear the WebGL canvas
    */
   clear() {
-    // Set clear color based on theme
-    if (this.options.theme === 'dark') {
-      this.gl.clearColor(0.05, 0.05, 0.1, 1.0);
+    // Set clear color from the background token; the page shows through otherwise
+    if (this.options.backgroundColor) {
+      this.gl.clearColor(...this.options.backgroundColor);
     } else {
-      this.gl.clearColor(1.0, 1.0, 1.0, 0.0);
+      this.gl.clearColor(0, 0, 0, 0);
     }
     
     this.gl.clear(this.gl.COLOR_BUFFER_BIT);
@@ -710,111 +1982,258 @@ class WebGLNeuralNetwork {
    */
   animate() {
     // Request next frame
-    requestAnimationFrame(this.animate.bind(this));
+    this.animationFrame = requestFrame(this.animate.bind(this));
     
-    // Skip rendering if not visible or should not render
-    if (!this.isVisible || !this.shouldRender) {
+    // Skip rendering if not visible, should not render, stepped manually
+    // or waiting for a lost context
+    if (!this.gl || this.contextLost || !this.isVisible || !this.shouldRender || this.manualClock) {
       return;
     }
     
     // Update time
     this.time = performance.now();
+    this.recordFrameTime(this.time);
     
+    this.drawFrame();
+  }
+  
+  /**
+   * Advance the simulation one frame and render it
+   */
+  drawFrame() {
     // Update node positions
     this.updateNodes();
     
     // Prepare data for rendering
-    const nodeData = this.prepareNodeData();
-    const connectionData = this.prepareConnectionData();
+    this.frameData = {
+      nodeData: this.prepareNodeData(),
+      connectionData: this.prepareConnectionData()
+    };
+    
+    // Move data-flow pulses along the fresh connections
+    this.updatePulses();
+    
+    this.render();
+  }
+  
+  /**
+   * Render the current frame without advancing the simulation
+   */
+  render() {
+    if (!this.frameData) return;
     
     // Clear canvas
     this.clear();
     
     // Render connections first (behind nodes)
-    this.renderConnections(connectionData);
+    this.renderConnections(this.frameData.connectionData);
+    this.renderPulses();
     
     // Render nodes on top
-    this.renderNodes(nodeData);
+    this.renderNodes(this.frameData.nodeData);
   }
   
   /**
-   * Fallback to Canvas rendering if WebGL is not available
+   * Advance the clock manually by ms, simulating at 60fps.
+   * Switches to the manual clock until play() is called.
    */
-  fallbackToCanvas() {
-    // Clean up any WebGL context
-    if (this.gl) {
-      this.gl = null;
-    }
-    
-    // Get 2D context instead
-    this.ctx = this.canvas.getContext('2d');
+  step(ms = 1000 / 60) {
+    const frameTime = 1000 / 60;
+    const frames = Math.max(1, Math.round(ms / frameTime));
     
-    // Override animation method to use Canvas
-    this.animate = this.animateCanvas.bind(this);
-    
-    // Adjust options for better performance with Canvas
-    this.options.nodeCount = Math.min(this.options.nodeCount, 50);
-    this.options.connectionDistance = Math.min(this.options.connectionDistance, 100);
-    
-    // Create nodes for Canvas rendering
-    this.createNodes();
+    this.manualClock = true;
     
-    console.log('Using Canvas fallback for neural network animation');
+    for (let i = 0; i < frames; i++) {
+      this.time += frameTime;
+      
+      if (this.gl) {
+        this.drawFrame();
+      } else if (this.ctx) {
+        this.drawCanvasFrame();
+      }
+    }
   }
   
   /**
-   * Animation loop for Canvas fallback
+   * Return to the real-time clock after step()
    */
-  animateCanvas() {
-    // Request next frame
-    requestAnimationFrame(this.animateCanvas.bind(this));
-    
-    // Skip rendering if not visible
-    if (!this.isVisible || !this.shouldRender) {
+  play() {
+    this.manualClock = false;
+  }
+  
+  /**
+   * Capture the current frame as a data URL
+   */
+  toDataURL(type = 'image/png', quality) {
+    this.prepareCapture();
+    return this.canvas.toDataURL(type, quality);
+  }
+  
+  /**
+   * Capture the current frame as a Blob
+   */
+  toBlob(type = 'image/png', quality) {
+    this.prepareCapture();
+    
+    // OffscreenCanvas (worker backend) has its own capture API
+    if (this.canvas.convertToBlob) {
+      return this.canvas.convertToBlob({ type, quality });
+    }
+    
+    // The bitmap is copied synchronously, so the redraw above is kept
+    return new Promise((resolve, reject) => {
+      this.canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Could not capture neural network frame'));
+        }
+      }, type, quality);
+    });
+  }
+  
+  /**
+   * WebGL discards the drawing buffer after compositing, so redraw the
+   * current frame in the same task as the capture
+   */
+  prepareCapture() {
+    if (!this.gl) return;
+    
+    if (this.frameData) {
+      this.render();
+    } else {
+      this.drawFrame();
+    }
+  }
+  
+  /**
+   * Fallback to Canvas rendering if WebGL is not available
+   */
+  fallbackToCanvas(reason = 'unsupported') {
+    clearTimeout(this.contextRestoreTimer);
+    
+    // A worker can't swap its transferred canvas, so the page takes over
+    if (this.gl && !this.container) {
+      this.shouldRender = false;
+      this.emit('webgl:fallback', { reason, handoff: true });
+      return;
+    }
+    
+    // A canvas that has held a WebGL context can't provide a 2D one
+    if (this.gl) {
+      const canvas = document.createElement('canvas');
+      canvas.className = this.canvas.className;
+      this.container.replaceChild(canvas, this.canvas);
+      this.canvas = canvas;
+      this.gl = null;
+    }
+    
+    // Canvas rendering always simulates on the CPU
+    this.gpuSimulation = null;
+    this.contextLost = false;
+    this.frameData = null;
+    
+    // Get 2D context instead
+    this.ctx = this.canvas.getContext('2d');
+    
+    // Override animation method to use Canvas
+    this.animate = this.animateCanvas.bind(this);
+    
+    // Adjust options for better performance with Canvas
+    this.options.nodeCount = Math.min(this.options.nodeCount, 50);
+    this.options.connectionDistance = Math.min(this.options.connectionDistance, 100);
+    
+    // Size the new context and create nodes for Canvas rendering
+    this.resize();
+    this.createNodes();
+    
+    console.log('Using Canvas fallback for neural network animation');
+    
+    this.emit('webgl:fallback', { reason });
+  }
+  
+  /**
+   * Animation loop for Canvas fallback
+   */
+  animateCanvas() {
+    // Request next frame
+    this.animationFrame = requestFrame(this.animateCanvas.bind(this));
+    
+    // Skip rendering if not visible or stepped manually
+    if (!this.isVisible || !this.shouldRender || this.manualClock) {
       return;
     }
     
     // Update time
     this.time = performance.now();
+    this.recordFrameTime(this.time);
     
+    this.drawCanvasFrame();
+  }
+  
+  /**
+   * Advance and draw one Canvas fallback frame
+   */
+  drawCanvasFrame() {
     // Update node positions
     this.updateNodes();
     
-    // Clear canvas
-    if (this.options.theme === 'dark') {
-      this.ctx.fillStyle = 'rgba(13, 13, 25, 1)';
-    } else {
-      this.ctx.fillStyle = 'rgba(255, 255, 255, 0)';
+    // Clear canvas, then paint the background token if one resolved
+    this.ctx.clearRect(0, 0, this.width, this.height);
+    
+    if (this.options.backgroundColor) {
+      const [r, g, b, a] = this.options.backgroundColor;
+      this.ctx.fillStyle = `rgba(${r * 255}, ${g * 255}, ${b * 255}, ${a})`;
+      this.ctx.fillRect(0, 0, this.width, this.height);
     }
-    this.ctx.fillRect(0, 0, this.width, this.height);
     
     // Draw connections
     this.ctx.strokeStyle = `rgba(${this.options.connectionColor[0] * 255}, ${this.options.connectionColor[1] * 255}, ${this.options.connectionColor[2] * 255}, ${this.options.connectionColor[3]})`;
     this.ctx.lineWidth = 1;
     
+    const neighbors = [];
+    const pairs = this.connectionPairs = [];
+    const searchNeighbors = !this.edges && this.options.connectionDistance > 0;
+    
+    if (this.edges) {
+      // Layout supplied its own topology
+      this.ctx.globalAlpha = this.options.connectionColor[3];
+      this.ctx.beginPath();
+      this.edges.forEach(([a, b]) => {
+        this.ctx.moveTo(this.nodes[a].x, this.nodes[a].y);
+        this.ctx.lineTo(this.nodes[b].x, this.nodes[b].y);
+        pairs.push(a, b);
+      });
+      this.ctx.stroke();
+    } else if (searchNeighbors) {
+      this.buildSpatialGrid(this.options.connectionDistance);
+    }
+    
     for (let i = 0; i < this.nodes.length; i++) {
       const nodeA = this.nodes[i];
       
-      // Check connections with other nodes
-      for (let j = i + 1; j < this.nodes.length; j++) {
-        const nodeB = this.nodes[j];
+      // Check connections with nearby nodes
+      if (searchNeighbors) {
+        this.findNeighbors(i, this.options.connectionDistance, neighbors);
+      }
+      
+      for (let k = 0; k < neighbors.length; k++) {
+        const nodeB = this.nodes[neighbors[k]];
+        pairs.push(i, neighbors[k]);
         
         // Calculate distance
         const dx = nodeA.x - nodeB.x;
         const dy = nodeA.y - nodeB.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
         
-        // Draw connection if within threshold
-        if (distance < this.options.connectionDistance) {
-          // Calculate opacity based on distance
-          const opacity = 1 - (distance / this.options.connectionDistance);
-          
-          this.ctx.beginPath();
-          this.ctx.moveTo(nodeA.x, nodeA.y);
-          this.ctx.lineTo(nodeB.x, nodeB.y);
-          this.ctx.globalAlpha = opacity * this.options.connectionColor[3];
-          this.ctx.stroke();
-        }
+        // Calculate opacity based on distance
+        const opacity = 1 - (distance / this.options.connectionDistance);
+        
+        this.ctx.beginPath();
+        this.ctx.moveTo(nodeA.x, nodeA.y);
+        this.ctx.lineTo(nodeB.x, nodeB.y);
+        this.ctx.globalAlpha = opacity * this.options.connectionColor[3];
+        this.ctx.stroke();
       }
       
       // Connect to mouse if active
@@ -836,9 +2255,14 @@ class WebGLNeuralNetwork {
       }
     }
     
+    // Move and draw data-flow pulses
+    this.updatePulses();
+    this.renderPulsesCanvas();
+    
     // Draw nodes
     const nodeColor = `rgb(${this.options.nodeColor[0] * 255}, ${this.options.nodeColor[1] * 255}, ${this.options.nodeColor[2] * 255})`;
-    const glowColor = `rgba(${this.options.glowColor[0] * 255}, ${this.options.glowColor[1] * 255}, ${this.options.glowColor[2] * 255}, ${this.options.glowColor[3]})`;
+    const [glowR, glowG, glowB, glowA] = this.getGlowColor();
+    const glowColor = `rgba(${glowR * 255}, ${glowG * 255}, ${glowB * 255}, ${glowA})`;
     
     this.nodes.forEach(node => {
       // Apply glow effect
@@ -879,8 +2303,28 @@ class WebGLNeuralNetwork {
       ...newOptions
     };
     
-    // Recreate nodes if node count changed
-    if (newOptions.nodeCount !== undefined) {
+    if (newOptions.colorTokens) {
+      this.options.colorTokens = { ...this.options.colorTokens, ...newOptions.colorTokens };
+    }
+    
+    // Colours set directly from now on override their tokens
+    Object.keys(WebGLNeuralNetwork.colorTokens).forEach(key => {
+      if (newOptions[key] && !this.explicitColors.includes(key)) {
+        this.explicitColors.push(key);
+      }
+    });
+    
+    // A theme switch changes the custom properties behind the colours
+    if (newOptions.theme !== undefined || newOptions.colorTokens !== undefined) {
+      this.applyThemeColors();
+    }
+    
+    // Recreate nodes if node count or topology changed
+    const topologyKeys = ['nodeCount', 'layout', 'layers', 'clusters', 'graph', 'graphSrc'];
+    if (topologyKeys.some(key => newOptions[key] !== undefined)) {
+      if (newOptions.graphSrc !== undefined) {
+        this.graphRequest = null;
+      }
       this.createNodes();
     }
   }
@@ -891,54 +2335,599 @@ class WebGLNeuralNetwork {
   destroy() {
     // Stop animation
     this.shouldRender = false;
+    cancelFrame(this.animationFrame);
+    clearTimeout(this.contextRestoreTimer);
     
     // Remove event listeners
-    window.removeEventListener('resize', this.resize.bind(this));
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.listeners = [];
     
-    if (this.options.interactive) {
-      this.container.removeEventListener('mousemove', this.handleMouseMove.bind(this));
-      this.container.removeEventListener('mouseleave', () => {
-        this.mouse.active = false;
+    // Stop observing visibility
+    if (this.visibilityObserver) {
+      this.visibilityObserver.disconnect();
+    }
+    
+    // Remove canvas from DOM
+    if (this.canvas && this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
+    }
+    
+    // Delete WebGL resources (a lost context already freed them)
+    if (this.gl && !this.contextLost) {
+      // Delete buffers
+      this.gl.deleteBuffer(this.nodePositionBuffer);
+      this.gl.deleteBuffer(this.nodeSizeBuffer);
+      this.gl.deleteBuffer(this.connectionPositionBuffer);
+      this.gl.deleteBuffer(this.pulsePositionBuffer);
+      this.gl.deleteBuffer(this.pulseIntensityBuffer);
+      
+      // Delete programs
+      this.gl.deleteProgram(this.nodeProgram);
+      this.gl.deleteProgram(this.connectionProgram);
+      
+      // Delete GPU simulation resources
+      if (this.gpuSimulation) {
+        const sim = this.gpuSimulation;
+        sim.stateBuffers.forEach(buffer => this.gl.deleteBuffer(buffer));
+        this.gl.deleteBuffer(sim.staticBuffer);
+        this.gl.deleteBuffer(sim.readbackBuffer);
+        this.gl.deleteTransformFeedback(sim.transformFeedback);
+        this.gl.deleteProgram(sim.program);
+        if (sim.readbackFence) this.gl.deleteSync(sim.readbackFence);
+        this.gpuSimulation = null;
+      }
+    }
+  }
+}
+
+/**
+ * Topology layouts for WebGLNeuralNetwork.
+ * Each layout receives the network and returns node positions normalised
+ * to 0-1, optional explicit edges as [sourceIndex, targetIndex] pairs, and
+ * whether nodes should stay anchored to their positions. Add a layout by
+ * assigning a new key before creating networks.
+ */
+WebGLNeuralNetwork.layouts = {
+  /**
+   * Free-floating nodes connected by distance (the original behaviour)
+   */
+  random(network) {
+    const count = network.adjustNodeCountForPerformance();
+    const positions = [];
+    
+    for (let i = 0; i < count; i++) {
+      positions.push({ x: network.random(), y: network.random() });
+    }
+    
+    return { positions, edges: null, anchored: false };
+  },
+  
+  /**
+   * Feed-forward layers, fully connected between neighbouring layers
+   */
+  layered(network) {
+    const layers = network.options.layers.filter(size => size > 0);
+    const positions = [];
+    const edges = [];
+    let previousStart = -1;
+    
+    layers.forEach((size, layerIndex) => {
+      const start = positions.length;
+      
+      for (let i = 0; i < size; i++) {
+        positions.push({
+          x: (layerIndex + 1) / (layers.length + 1),
+          y: (i + 1) / (size + 1)
+        });
+      }
+      
+      // Connect every node to every node of the previous layer
+      if (previousStart >= 0) {
+        for (let a = previousStart; a < start; a++) {
+          for (let b = start; b < start + size; b++) {
+            edges.push([a, b]);
+          }
+        }
+      }
+      
+      previousStart = start;
+    });
+    
+    return { positions, edges, anchored: true };
+  },
+  
+  /**
+   * Communities gathered around evenly spread centres, connected by distance
+   */
+  clusters(network) {
+    const count = network.adjustNodeCountForPerformance();
+    const clusterCount = Math.max(1, network.options.clusters);
+    const positions = [];
+    
+    // Spread cluster centres on an ellipse so communities don't overlap
+    const centres = [];
+    for (let c = 0; c < clusterCount; c++) {
+      const angle = (c / clusterCount) * Math.PI * 2 + network.random() * 0.5;
+      const radius = clusterCount > 1 ? 0.3 : 0;
+      centres.push({
+        x: 0.5 + Math.cos(angle) * radius,
+        y: 0.5 + Math.sin(angle) * radius
       });
-      this.container.removeEventListener('mouseenter', () => {
-        this.mouse.active = true;
+    }
+    
+    const spread = 0.35 / Math.sqrt(clusterCount + 1);
+    
+    for (let i = 0; i < count; i++) {
+      const centre = centres[i % clusterCount];
+      const angle = network.random() * Math.PI * 2;
+      // Square root keeps density even across the disc
+      const distance = Math.sqrt(network.random()) * spread;
+      
+      positions.push({
+        x: Math.min(1, Math.max(0, centre.x + Math.cos(angle) * distance)),
+        y: Math.min(1, Math.max(0, centre.y + Math.sin(angle) * distance))
       });
+    }
+    
+    return { positions, edges: null, anchored: true };
+  },
+  
+  /**
+   * Nodes and edges from a JSON graph. Node x/y are normalised to 0-1;
+   * nodes without coordinates are placed on a circle. Edges reference
+   * nodes by id or by index.
+   */
+  graph(network) {
+    const graph = network.options.graph;
+    
+    if (!graph || !Array.isArray(graph.nodes)) {
+      return { positions: [], edges: [], anchored: true };
+    }
+    
+    const indexById = new Map();
+    const positions = graph.nodes.map((node, i) => {
+      if (node.id !== undefined) {
+        indexById.set(node.id, i);
+      }
       
-      this.container.removeEventListener('touchmove', this.handleTouchMove.bind(this));
-      this.container.removeEventListener('touchstart', this.handleTouchMove.bind(this));
-      this.container.removeEventListener('touchend', () => {
-        this.mouse.active = false;
+      if (typeof node.x === 'number' && typeof node.y === 'number') {
+        return { x: node.x, y: node.y };
+      }
+      
+      const angle = (i / graph.nodes.length) * Math.PI * 2;
+      return { x: 0.5 + Math.cos(angle) * 0.4, y: 0.5 + Math.sin(angle) * 0.4 };
+    });
+    
+    const resolve = ref => (indexById.has(ref) ? indexById.get(ref) : ref);
+    const edges = (graph.edges || []).map(edge => (
+      Array.isArray(edge)
+        ? [resolve(edge[0]), resolve(edge[1])]
+        : [resolve(edge.source), resolve(edge.target)]
+    ));
+    
+    return { positions, edges, anchored: true };
+  }
+};
+
+/**
+ * Quality levels used by the runtime governor, from cheapest to richest.
+ * Density scales are relative to the requested options and match the
+ * start-up factors in checkPerformance().
+ */
+WebGLNeuralNetwork.qualityLevels = {
+  low: { nodeScale: 0.3, distanceScale: 0.7, maxDpr: 1, glow: 0 },
+  medium: { nodeScale: 0.6, distanceScale: 0.8, maxDpr: 1.5, glow: 0.6 },
+  high: { nodeScale: 1, distanceScale: 1, maxDpr: Infinity, glow: 1 }
+};
+
+WebGLNeuralNetwork.qualityOrder = ['low', 'medium', 'high'];
+
+/**
+ * Default theme tokens for each colour option. The first property that
+ * resolves wins, so the Tailwind palette is preferred over the --ai-* set.
+ * The background has no default token: the page's background variables
+ * are opaque, and the canvas should stay see-through unless asked, e.g.
+ * data-color-tokens='{"backgroundColor": "--bg-primary"}'.
+ */
+WebGLNeuralNetwork.colorTokens = {
+  nodeColor: ['--primary-500', '--ai-primary-500'],
+  connectionColor: ['--primary-500', '--ai-primary-500'],
+  glowColor: ['--primary-400', '--ai-primary-400'],
+  dataFlowColor: ['--primary-300', '--ai-primary-300'],
+  backgroundColor: []
+};
+
+// Opacity applied to each token colour, matching the built-in defaults
+WebGLNeuralNetwork.colorAlphas = {
+  nodeColor: 1,
+  connectionColor: 0.15,
+  glowColor: 0.3,
+  dataFlowColor: 0.9,
+  backgroundColor: 1
+};
+
+/**
+ * Page-side handle for a WebGLNeuralNetwork running in a Web Worker.
+ * The canvas is transferred with transferControlToOffscreen(), and pointer,
+ * size, visibility and option changes are posted to the worker. Methods
+ * that return data (getStats, toBlob, toDataURL) return Promises.
+ */
+class OffscreenNeuralNetwork {
+  /**
+   * Whether the browser can run the worker backend
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof HTMLCanvasElement !== 'undefined' &&
+      'transferControlToOffscreen' in HTMLCanvasElement.prototype &&
+      !!NEURAL_NETWORK_SCRIPT_URL;
+  }
+  
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string'
+      ? document.querySelector(container)
+      : container;
+      
+    if (!this.container) {
+      console.warn('WebGL neural network container not found');
+      return;
+    }
+    
+    this.options = { ...options };
+    this.listeners = [];
+    this.pendingRequests = new Map();
+    
+    // Workers can't read CSS, so resolve theme colours here
+    this.explicitColors = Object.keys(WebGLNeuralNetwork.colorTokens).filter(key => options[key]);
+    Object.assign(this.options, this.resolveThemeColors());
+    this.nextRequestId = 1;
+    this.delegate = null;
+    
+    // Resolve URLs against the page, not the worker script
+    if (this.options.graphSrc) {
+      this.options.graphSrc = new URL(this.options.graphSrc, document.baseURI).href;
+    }
+    
+    this.canvas = document.createElement('canvas');
+    this.canvas.classList.add('ai-webgl-canvas');
+    this.container.appendChild(this.canvas);
+    
+    const offscreen = this.canvas.transferControlToOffscreen();
+    
+    this.worker = new Worker(NEURAL_NETWORK_SCRIPT_URL);
+    this.worker.addEventListener('message', this.handleMessage.bind(this));
+    this.worker.addEventListener('error', error => {
+      console.warn('Neural network worker failed, rendering in page:', error.message);
+      this.fallbackToPage();
+    });
+    
+    this.worker.postMessage({
+      type: 'init',
+      canvas: offscreen,
+      options: {
+        ...this.options,
+        reducedMotion: !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches)
+      },
+      size: this.measure()
+    }, [offscreen]);
+    
+    this.setupEventListeners();
+  }
+  
+  /**
+   * Current canvas size and pixel ratio for the worker
+   */
+  measure() {
+    const rect = this.container.getBoundingClientRect();
+    
+    this.canvas.style.width = `${rect.width}px`;
+    this.canvas.style.height = `${rect.height}px`;
+    
+    return { width: rect.width, height: rect.height, dpr: window.devicePixelRatio || 1 };
+  }
+  
+  /**
+   * Forward input, size, visibility and motion preference to the worker
+   */
+  setupEventListeners() {
+    const post = message => this.worker.postMessage(message);
+    
+    const handlePointer = (clientX, clientY) => {
+      const rect = this.canvas.getBoundingClientRect();
+      post({ type: 'pointer', x: clientX - rect.left, y: clientY - rect.top, active: true });
+    };
+    
+    this.listen(window, 'resize', () => post({ type: 'resize', size: this.measure() }));
+    
+    if (this.options.interactive !== false) {
+      this.listen(this.container, 'mousemove', e => handlePointer(e.clientX, e.clientY));
+      this.listen(this.container, 'mouseleave', () => post({ type: 'pointer', active: false }));
+      this.listen(this.container, 'mouseenter', () => post({ type: 'pointer', active: true }));
+      
+      const handleTouch = e => {
+        if (e.touches.length > 0) {
+          handlePointer(e.touches[0].clientX, e.touches[0].clientY);
+          e.preventDefault();
+        }
+      };
+      this.listen(this.container, 'touchmove', handleTouch);
+      this.listen(this.container, 'touchstart', handleTouch);
+      this.listen(this.container, 'touchend', () => post({ type: 'pointer', active: false }));
+    }
+    
+    if ('IntersectionObserver' in window) {
+      this.visibilityObserver = new IntersectionObserver(entries => {
+        post({ type: 'visibility', isVisible: entries[0].isIntersecting });
+      }, {
+        rootMargin: '100px'
       });
+      
+      this.visibilityObserver.observe(this.container);
+    }
+    
+    this.listen(document, 'visibilitychange', () => {
+      post({ type: 'visibility', shouldRender: document.visibilityState === 'visible' });
+    });
+    
+    if (window.matchMedia) {
+      const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+      
+      if (motionQuery.addEventListener) {
+        this.listen(motionQuery, 'change', e => post({ type: 'reducedMotion', value: e.matches }));
+      }
+    }
+  }
+  
+  /**
+   * Add an event listener that destroy() will remove
+   */
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+  
+  /**
+   * Handle events and request results from the worker
+   */
+  handleMessage(e) {
+    const message = e.data;
+    
+    if (message.type === 'event') {
+      this.container.dispatchEvent(new CustomEvent(message.name, {
+        bubbles: true,
+        detail: { network: this, ...message.detail }
+      }));
+      
+      // The worker lost WebGL for good; rebuild the network in the page
+      if (message.name === 'webgl:fallback' && message.detail.handoff) {
+        this.fallbackToPage();
+      }
+    } else if (message.type === 'response') {
+      const request = this.pendingRequests.get(message.id);
+      if (!request) return;
+      
+      this.pendingRequests.delete(message.id);
+      
+      if (message.error) {
+        request.reject(new Error(message.error));
+      } else {
+        request.resolve(message.result);
+      }
+    }
+  }
+  
+  /**
+   * Ask the worker for a result
+   */
+  request(method, args = []) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextRequestId++;
+      this.pendingRequests.set(id, { resolve, reject });
+      this.worker.postMessage({ type: 'call', id, method, args });
+    });
+  }
+  
+  /**
+   * Replace the worker with an in-page WebGLNeuralNetwork
+   */
+  fallbackToPage() {
+    if (this.delegate) return;
+    
+    this.teardown();
+    
+    // Leave token colours to the delegate so theme switches still reach them
+    const options = { ...this.options, offscreen: false };
+    Object.keys(WebGLNeuralNetwork.colorTokens)
+      .filter(key => !this.explicitColors.includes(key))
+      .forEach(key => delete options[key]);
+    
+    this.delegate = new WebGLNeuralNetwork(this.container, options);
+    
+    this.pendingRequests.forEach(request => request.reject(new Error('Neural network worker stopped')));
+    this.pendingRequests.clear();
+  }
+  
+  updateOptions(newOptions) {
+    this.options = { ...this.options, ...newOptions };
+    
+    if (this.delegate) return this.delegate.updateOptions(newOptions);
+    
+    Object.keys(WebGLNeuralNetwork.colorTokens).forEach(key => {
+      if (newOptions[key] && !this.explicitColors.includes(key)) {
+        this.explicitColors.push(key);
+      }
+    });
+    
+    // Send freshly resolved token colours along with a theme switch
+    const options = newOptions.theme !== undefined || newOptions.colorTokens !== undefined
+      ? { ...newOptions, ...this.resolveThemeColors() }
+      : newOptions;
+    
+    this.worker.postMessage({ type: 'options', options });
+  }
+  
+  /**
+   * Theme token colours for the worker, skipping explicit colours
+   */
+  resolveThemeColors() {
+    const tokens = { ...WebGLNeuralNetwork.colorTokens, ...this.options.colorTokens };
+    this.explicitColors.forEach(key => delete tokens[key]);
+    
+    return WebGLNeuralNetwork.resolveColorTokens(this.container, tokens, WebGLNeuralNetwork.colorAlphas);
+  }
+  
+  firePulse(fromNodeIndex, hops) {
+    if (this.delegate) return this.delegate.firePulse(fromNodeIndex, hops);
+    this.worker.postMessage({ type: 'call', method: 'firePulse', args: [fromNodeIndex, hops] });
+  }
+  
+  step(ms) {
+    if (this.delegate) return this.delegate.step(ms);
+    this.worker.postMessage({ type: 'call', method: 'step', args: [ms] });
+  }
+  
+  play() {
+    if (this.delegate) return this.delegate.play();
+    this.worker.postMessage({ type: 'call', method: 'play', args: [] });
+  }
+  
+  getStats() {
+    if (this.delegate) return Promise.resolve(this.delegate.getStats());
+    return this.request('getStats');
+  }
+  
+  toBlob(type = 'image/png', quality) {
+    if (this.delegate) return this.delegate.toBlob(type, quality);
+    return this.request('toBlob', [type, quality]);
+  }
+  
+  toDataURL(type = 'image/png', quality) {
+    if (this.delegate) return Promise.resolve(this.delegate.toDataURL(type, quality));
+    
+    return this.toBlob(type, quality).then(blob => new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    }));
+  }
+  
+  /**
+   * Stop the worker and remove page-side listeners and canvas
+   */
+  teardown() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
     }
     
-    // Stop observing visibility
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.listeners = [];
+    
     if (this.visibilityObserver) {
       this.visibilityObserver.disconnect();
     }
     
-    // Remove canvas from DOM
     if (this.canvas && this.canvas.parentNode) {
       this.canvas.parentNode.removeChild(this.canvas);
     }
-    
-    // Delete WebGL resources
-    if (this.gl) {
-      // Delete buffers
-      this.gl.deleteBuffer(this.nodePositionBuffer);
-      this.gl.deleteBuffer(this.nodeSizeBuffer);
-      this.gl.deleteBuffer(this.connectionPositionBuffer);
-      
-      // Delete programs
-      this.gl.deleteProgram(this.nodeProgram);
-      this.gl.deleteProgram(this.connectionProgram);
+  }
+  
+  destroy() {
+    if (this.delegate) {
+      this.delegate.destroy();
+      return;
     }
+    
+    this.teardown();
   }
 }
 
+/**
+ * Worker side of OffscreenNeuralNetwork
+ */
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  let network = null;
+  
+  // Methods the page may call, and whether they answer with a result
+  const workerMethods = {
+    firePulse: false,
+    step: false,
+    play: false,
+    getStats: true,
+    toBlob: true
+  };
+  
+  self.addEventListener('message', e => {
+    const message = e.data;
+    
+    if (message.type === 'init') {
+      network = new WebGLNeuralNetwork(null, {
+        ...message.options,
+        canvas: message.canvas,
+        hostSize: message.size,
+        onEvent: (type, detail) => self.postMessage({ type: 'event', name: type, detail })
+      });
+      return;
+    }
+    
+    if (!network) return;
+    
+    switch (message.type) {
+      case 'pointer':
+        if (message.x !== undefined) {
+          network.mouse.x = message.x;
+          network.mouse.y = message.y;
+        }
+        network.mouse.active = message.active;
+        break;
+        
+      case 'resize':
+        network.setHostSize(message.size);
+        break;
+        
+      case 'visibility':
+        if (message.isVisible !== undefined) network.isVisible = message.isVisible;
+        if (message.shouldRender !== undefined) network.shouldRender = message.shouldRender;
+        break;
+        
+      case 'reducedMotion':
+        network.setReducedMotion(message.value);
+        break;
+        
+      case 'options':
+        network.updateOptions(message.options);
+        break;
+        
+      case 'call': {
+        if (!(message.method in workerMethods)) return;
+        
+        const respond = workerMethods[message.method];
+        
+        Promise.resolve()
+          .then(() => network[message.method](...message.args))
+          .then(result => {
+            if (respond) self.postMessage({ type: 'response', id: message.id, result });
+          })
+          .catch(error => {
+            if (respond) self.postMessage({ type: 'response', id: message.id, error: error.message });
+          });
+        break;
+      }
+    }
+  });
+}
+
 /**
  * Initialize the WebGL Neural Network when DOM is loaded
+ * (workers load this file too, and have no document)
  */
-document.addEventListener('DOMContentLoaded', () => {
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', () => {
   // Find all neural network containers
   const containers = document.querySelectorAll('.ai-webgl-container');
   
@@ -950,10 +2939,47 @@ document.addEventListener('DOMContentLoaded', () => {
       nodeSize: parseFloat(container.dataset.nodeSize) || 2.5,
       speed: parseFloat(container.dataset.speed) || 0.5,
       pulseEffect: container.dataset.pulseEffect !== 'false',
+      autoplay: container.dataset.autoplay !== 'false',
+      dataFlowEffect: container.dataset.dataFlow !== 'false',
       interactive: container.dataset.interactive !== 'false',
-      theme: document.documentElement.classList.contains('dark') ? 'dark' : 'light'
+      theme: document.documentElement.classList.contains('dark') ? 'dark' : 'light',
+      layout: container.dataset.layout || 'random',
+      offscreen: container.dataset.offscreen === 'true'
     };
     
+    // Parse layout settings if provided
+    if (container.dataset.layers) {
+      options.layers = container.dataset.layers.split(',').map(size => parseInt(size, 10) || 0);
+    }
+    
+    if (container.dataset.clusters) {
+      options.clusters = parseInt(container.dataset.clusters) || 5;
+    }
+    
+    if (container.dataset.graph) {
+      try {
+        options.graph = JSON.parse(container.dataset.graph);
+      } catch (e) {
+        console.warn('Invalid graph format, ignoring');
+      }
+    }
+    
+    if (container.dataset.colorTokens) {
+      try {
+        options.colorTokens = { ...WebGLNeuralNetwork.colorTokens, ...JSON.parse(container.dataset.colorTokens) };
+      } catch (e) {
+        console.warn('Invalid color tokens format, ignoring');
+      }
+    }
+    
+    if (container.dataset.graphSrc) {
+      options.graphSrc = container.dataset.graphSrc;
+    }
+    
+    if (container.dataset.seed) {
+      options.seed = container.dataset.seed;
+    }
+    
     // Parse colors if provided
     if (container.dataset.nodeColor) {
       try {
@@ -971,8 +2997,26 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
     
-    // Initialize neural network
-    const neuralNetwork = new WebGLNeuralNetwork(container, options);
+    if (container.dataset.dataFlowColor) {
+      try {
+        options.dataFlowColor = JSON.parse(container.dataset.dataFlowColor);
+      } catch (e) {
+        console.warn('Invalid data flow color format, using default');
+      }
+    }
+    
+    if (container.dataset.dataFlowRate) {
+      options.dataFlowRate = parseFloat(container.dataset.dataFlowRate) || 0;
+    }
+    
+    if (container.dataset.dataFlowSpeed) {
+      options.dataFlowSpeed = parseFloat(container.dataset.dataFlowSpeed) || 2;
+    }
+    
+    // Initialize neural network, in a worker when requested and supported
+    const neuralNetwork = options.offscreen && OffscreenNeuralNetwork.isSupported()
+      ? new OffscreenNeuralNetwork(container, options)
+      : new WebGLNeuralNetwork(container, options);
     
     // Store reference to neural network instance on container
     container.neuralNetwork = neuralNetwork;
@@ -1001,16 +3045,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
 /**
  * Scroll Animation System
- * Handles all animated elements that appear on scroll
+ * Handles all animated elements that appear on scroll. Legacy classes get
+ * a `visible` class; elements with data-ai-animate play a registered
+ * Web Animations API animation instead.
  */
 class AIScrollAnimations {
   constructor() {
-    this.animatedElements = {
-      '.ai-fade-in': { observed: false },
-      '.ai-slide-in-left': { observed: false },
-      '.ai-slide-in-right': { observed: false },
-      '.ai-scale-in': { observed: false }
-    };
+    // Per-element state: { name, animation, definition }
+    this.tracked = new Map();
+    this.reducedMotion = !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
     
     // Create observer
     this.observer = new IntersectionObserver(this.handleIntersect.bind(this), {
@@ -1018,64 +3061,498 @@ class AIScrollAnimations {
       threshold: 0.1
     });
     
+    // Pick up animated elements inserted or removed later
+    this.mutationObserver = new MutationObserver(this.handleMutations.bind(this));
+    this.mutationObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['data-ai-animate']
+    });
+    
     // Initialize
     this.init();
   }
   
-  init() {
+  /**
+   * Register a named animation for use with data-ai-animate
+   */
+  register(name, { keyframes, duration = 600, easing = 'ease-out', stagger = 0, once = false } = {}) {
+    if (!name || !keyframes) {
+      console.warn('Scroll animations need a name and keyframes');
+      return this;
+    }
+    
+    AIScrollAnimations.animations[name] = { keyframes, duration, easing, stagger, once };
+    
+    // Elements using this name may already be on the page
+    this.tracked.forEach((state, element) => {
+      if (state.name !== name) return;
+      
+      element.classList.remove('visible');
+      this.prepare(element, state);
+      this.observer.observe(element);
+    });
+    
+    return this;
+  }
+  
+  init(root = document) {
     // Observe all animation elements
-    Object.keys(this.animatedElements).forEach(selector => {
-      if (!this.animatedElements[selector].observed) {
-        const elements = document.querySelectorAll(selector);
-        
-        elements.forEach(element => {
-          this.observer.observe(element);
-        });
-        
-        this.animatedElements[selector].observed = true;
-      }
+    const selector = [...AIScrollAnimations.classSelectors, '[data-ai-animate]'].join(',');
+    const elements = Array.from(root.querySelectorAll(selector));
+    
+    if (root.matches && root.matches(selector)) elements.unshift(root);
+    
+    elements.forEach(element => this.track(element));
+  }
+  
+  /**
+   * Start observing one element
+   */
+  track(element) {
+    const name = element.dataset.aiAnimate || null;
+    const existing = this.tracked.get(element);
+    
+    if (existing && existing.name === name) return;
+    if (existing) this.untrack(element);
+    
+    const state = { name, animation: null, definition: null };
+    this.tracked.set(element, state);
+    
+    if (name) this.prepare(element, state);
+    this.observer.observe(element);
+  }
+  
+  /**
+   * Stop observing an element and drop its animation
+   */
+  untrack(element) {
+    const state = this.tracked.get(element);
+    if (!state) return;
+    
+    if (state.animation) state.animation.cancel();
+    this.observer.unobserve(element);
+    this.tracked.delete(element);
+  }
+  
+  /**
+   * Create a paused animation so the element holds its first keyframe
+   */
+  prepare(element, state) {
+    const definition = AIScrollAnimations.animations[state.name];
+    if (!definition || typeof element.animate !== 'function') return;
+    
+    if (state.animation) state.animation.cancel();
+    
+    state.definition = definition;
+    state.animation = element.animate(definition.keyframes, {
+      duration: definition.duration,
+      easing: definition.easing,
+      fill: 'both'
     });
+    state.animation.pause();
+    state.animation.currentTime = 0;
   }
   
   handleIntersect(entries) {
+    let batchIndex = 0;
+    
     entries.forEach(entry => {
+      const element = entry.target;
+      const state = this.tracked.get(element);
+      if (!state) return;
+      
       if (entry.isIntersecting) {
-        entry.target.classList.add('visible');
+        element.classList.add('visible');
+        
+        if (state.animation) {
+          this.play(element, state, batchIndex++);
+        }
+        
+        // Stop observing after animation is triggered, unless it replays
+        if (!state.definition || state.definition.once) {
+          this.observer.unobserve(element);
+        }
+      } else if (state.animation && !state.definition.once && element.classList.contains('visible')) {
+        // Rewind so the animation replays on re-entry
+        element.classList.remove('visible');
+        state.animation.pause();
+        state.animation.currentTime = 0;
+      }
+    });
+  }
+  
+  /**
+   * Play a prepared animation; elements entering together are staggered
+   */
+  play(element, state, batchIndex) {
+    const { animation, definition } = state;
+    
+    if (this.reducedMotion) {
+      animation.finish();
+      return;
+    }
+    
+    const delay = parseFloat(element.dataset.aiDelay) || 0;
+    const stagger = element.dataset.aiStagger !== undefined
+      ? parseFloat(element.dataset.aiStagger) || 0
+      : definition.stagger;
+    
+    animation.effect.updateTiming({ delay: delay + batchIndex * stagger });
+    animation.currentTime = 0;
+    animation.play();
+  }
+  
+  handleMutations(mutations) {
+    mutations.forEach(mutation => {
+      if (mutation.type === 'attributes') {
+        const element = mutation.target;
         
-        // Stop observing after animation is triggered
-        this.observer.unobserve(entry.target);
+        if (element.dataset.aiAnimate || AIScrollAnimations.classSelectors.some(selector => element.matches(selector))) {
+          this.track(element);
+        } else {
+          this.untrack(element);
+        }
+        return;
       }
+      
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) this.init(node);
+      });
+    });
+    
+    // Forget elements that have left the document
+    this.tracked.forEach((state, element) => {
+      if (!element.isConnected) this.untrack(element);
     });
   }
   
   // Method to refresh observers (for dynamically added elements)
   refresh() {
-    Object.keys(this.animatedElements).forEach(selector => {
-      this.animatedElements[selector].observed = false;
+    this.init();
+  }
+  
+  destroy() {
+    this.observer.disconnect();
+    this.mutationObserver.disconnect();
+    
+    this.tracked.forEach(state => {
+      if (state.animation) state.animation.cancel();
+    });
+    this.tracked.clear();
+  }
+}
+
+// Class-based animations styled in style.css
+AIScrollAnimations.classSelectors = ['.ai-fade-in', '.ai-slide-in-left', '.ai-slide-in-right', '.ai-scale-in'];
+
+/**
+ * Named animations for data-ai-animate. The built-ins mirror the CSS
+ * classes and their --ai-timing/--ai-ease tokens; add more with aiScrollAnimations.register().
+ */
+AIScrollAnimations.animations = {
+  'fade-in': {
+    keyframes: [{ opacity: 0, transform: 'translateY(20px)' }, { opacity: 1, transform: 'none' }],
+    duration: 300, easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)', stagger: 0, once: false
+  },
+  'slide-in-left': {
+    keyframes: [{ opacity: 0, transform: 'translateX(-50px)' }, { opacity: 1, transform: 'none' }],
+    duration: 300, easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)', stagger: 0, once: false
+  },
+  'slide-in-right': {
+    keyframes: [{ opacity: 0, transform: 'translateX(50px)' }, { opacity: 1, transform: 'none' }],
+    duration: 300, easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)', stagger: 0, once: false
+  },
+  'scale-in': {
+    keyframes: [{ opacity: 0, transform: 'scale(0.9)' }, { opacity: 1, transform: 'none' }],
+    duration: 300, easing: 'cubic-bezier(0.175, 0.885, 0.32, 1.275)', stagger: 0, once: false
+  },
+  'grow-y': {
+    keyframes: [{ transform: 'scaleY(0)' }, { transform: 'scaleY(1)' }],
+    duration: 300, easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)', stagger: 0, once: false
+  }
+};
+
+/**
+ * Scroll-linked animations: elements with data-ai-scrub play a registered
+ * animation whose progress follows the scroll position instead of time.
+ * Uses native ScrollTimeline/ViewTimeline where available and falls back
+ * to driving paused animations from a rAF-throttled scroll listener.
+ *
+ *   data-ai-scrub          animation name from AIScrollAnimations.animations
+ *   data-ai-scrub-source   'view' (default) or 'scroll' for page progress
+ *   data-ai-scrub-subject  selector of the element to track (default: self)
+ *   data-ai-scrub-start    range start, e.g. 'entry 0%' (view only)
+ *   data-ai-scrub-end      range end, e.g. 'cover 50%' (view only)
+ */
+class AIScrollTimeline {
+  constructor() {
+    this.entries = [];
+    this.frameRequest = null;
+    this.listening = false;
+    this.native = typeof ScrollTimeline !== 'undefined' && typeof ViewTimeline !== 'undefined';
+    this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handleMotionChange = this.handleMotionChange.bind(this);
+    
+    if (this.motionQuery) {
+      this.motionQuery.addEventListener('change', this.handleMotionChange);
+    }
+    
+    // Pick up timeline elements inserted or removed later, e.g. by content swaps
+    this.mutationObserver = new MutationObserver(this.handleMutations.bind(this));
+    this.mutationObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['data-ai-scrub']
+    });
+    
+    this.init();
+  }
+  
+  init() {
+    // Reduced motion leaves every element in its resting, final state
+    if (this.motionQuery && this.motionQuery.matches) return;
+    
+    document.querySelectorAll('[data-ai-scrub]').forEach(element => {
+      if (this.entries.some(entry => entry.element === element)) return;
+      
+      const entry = this.createEntry(element);
+      if (entry) this.entries.push(entry);
+    });
+    
+    // Only the polyfill needs to hear about scrolling
+    if (!this.native && this.entries.length && !this.listening) {
+      window.addEventListener('scroll', this.handleScroll, { passive: true });
+      window.addEventListener('resize', this.handleScroll);
+      this.listening = true;
+    }
+    
+    this.update();
+  }
+  
+  /**
+   * Build the animation for one element from its data attributes
+   */
+  createEntry(element) {
+    const definition = AIScrollAnimations.animations[element.dataset.aiScrub];
+    
+    if (!definition || typeof element.animate !== 'function') {
+      if (!definition) console.warn(`Unknown scroll animation "${element.dataset.aiScrub}"`);
+      return null;
+    }
+    
+    const source = element.dataset.aiScrubSource === 'scroll' ? 'scroll' : 'view';
+    const subject = element.dataset.aiScrubSubject
+      ? document.querySelector(element.dataset.aiScrubSubject) || element
+      : element;
+    const rangeStart = AIScrollTimeline.parseRange(element.dataset.aiScrubStart, { name: 'entry', offset: 0 });
+    const rangeEnd = AIScrollTimeline.parseRange(element.dataset.aiScrubEnd, { name: 'entry', offset: 100 });
+    
+    // Scroll position maps onto progress linearly, so no easing by default
+    const timing = { fill: 'both', easing: 'linear' };
+    let animation;
+    
+    if (this.native) {
+      const timeline = source === 'scroll'
+        ? new ScrollTimeline({ source: document.documentElement, axis: 'block' })
+        : new ViewTimeline({ subject, axis: 'block' });
+      
+      animation = element.animate(definition.keyframes, {
+        ...timing,
+        timeline,
+        ...(source === 'view' && {
+          rangeStart: `${rangeStart.name} ${rangeStart.offset}%`,
+          rangeEnd: `${rangeEnd.name} ${rangeEnd.offset}%`
+        })
+      });
+    } else {
+      animation = element.animate(definition.keyframes, {
+        ...timing,
+        duration: AIScrollTimeline.POLYFILL_DURATION
+      });
+      animation.pause();
+    }
+    
+    return { element, subject, source, rangeStart, rangeEnd, animation };
+  }
+  
+  /**
+   * Parse '<range name> <percent>%' into { name, offset }
+   */
+  static parseRange(value, fallback) {
+    const match = /^\s*(cover|contain|entry|exit)(?:\s+(-?[\d.]+)%)?\s*$/.exec(value || '');
+    if (!match) return fallback;
+    
+    return { name: match[1], offset: match[2] !== undefined ? parseFloat(match[2]) : fallback.offset };
+  }
+  
+  handleScroll() {
+    if (this.frameRequest) return;
+    
+    this.frameRequest = requestAnimationFrame(() => {
+      this.frameRequest = null;
+      this.update();
+    });
+  }
+  
+  /**
+   * Polyfill: move each paused animation to the current scroll progress
+   */
+  update() {
+    if (this.native) return;
+    
+    this.entries.forEach(entry => {
+      const progress = entry.source === 'scroll'
+        ? this.getScrollProgress()
+        : this.getViewProgress(entry);
+      
+      entry.animation.currentTime = progress * AIScrollTimeline.POLYFILL_DURATION;
+    });
+  }
+  
+  getScrollProgress() {
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    return scrollable > 0 ? Math.min(Math.max(window.scrollY / scrollable, 0), 1) : 1;
+  }
+  
+  /**
+   * View progress of an entry's subject, following the named ranges of
+   * CSS scroll-driven animations. Layout offsets are used rather than
+   * bounding rects so the animation's own transforms don't feed back.
+   */
+  getViewProgress(entry) {
+    let top = 0;
+    for (let node = entry.subject; node; node = node.offsetParent) {
+      top += node.offsetTop;
+    }
+    
+    const height = entry.subject.offsetHeight;
+    const viewport = window.innerHeight;
+    // Distance scrolled past the point where the subject's top meets the viewport top
+    const position = window.scrollY - top;
+    
+    const start = this.getRangeOffset(entry.rangeStart, height, viewport);
+    const end = this.getRangeOffset(entry.rangeEnd, height, viewport);
+    
+    if (end === start) return position >= end ? 1 : 0;
+    return Math.min(Math.max((position - start) / (end - start), 0), 1);
+  }
+  
+  getRangeOffset({ name, offset }, height, viewport) {
+    const containStart = Math.min(height - viewport, 0);
+    const containEnd = Math.max(height - viewport, 0);
+    const ranges = {
+      cover: [-viewport, height],
+      contain: [containStart, containEnd],
+      entry: [-viewport, containStart],
+      exit: [containEnd, height]
+    };
+    const [from, to] = ranges[name];
+    
+    return from + (to - from) * (offset / 100);
+  }
+  
+  handleMotionChange() {
+    this.teardown();
+    this.init();
+  }
+  
+  handleMutations(mutations) {
+    let changed = false;
+    
+    mutations.forEach(mutation => {
+      if (mutation.type === 'attributes') {
+        // Rebuild with the new animation name, or drop it if the attribute went
+        this.removeEntry(mutation.target);
+        changed = true;
+        return;
+      }
+      
+      if (mutation.removedNodes.length && this.entries.length) {
+        changed = true;
+      }
+      
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE &&
+          (node.matches('[data-ai-scrub]') || node.querySelector('[data-ai-scrub]'))) {
+          changed = true;
+        }
+      });
+    });
+    
+    if (changed) this.refresh();
+  }
+  
+  removeEntry(element) {
+    const index = this.entries.findIndex(entry => entry.element === element);
+    if (index === -1) return;
+    
+    this.entries[index].animation.cancel();
+    this.entries.splice(index, 1);
+  }
+  
+  // Method to refresh timelines (for dynamically added elements)
+  refresh() {
+    // Forget elements, or subjects, that have left the document
+    this.entries = this.entries.filter(entry => {
+      if (entry.element.isConnected && entry.subject.isConnected) return true;
+      
+      entry.animation.cancel();
+      return false;
     });
     
     this.init();
   }
+  
+  teardown() {
+    this.entries.forEach(entry => entry.animation.cancel());
+    this.entries = [];
+    
+    if (this.frameRequest) {
+      cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+    
+    if (this.listening) {
+      window.removeEventListener('scroll', this.handleScroll);
+      window.removeEventListener('resize', this.handleScroll);
+      this.listening = false;
+    }
+  }
+  
+  destroy() {
+    this.teardown();
+    this.mutationObserver.disconnect();
+    
+    if (this.motionQuery) {
+      this.motionQuery.removeEventListener('change', this.handleMotionChange);
+    }
+  }
 }
 
+// Polyfilled animations run over this many ms of 'time' per full scroll range
+AIScrollTimeline.POLYFILL_DURATION = 1000;
+
 // Initialize scroll animations when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', () => {
   if ('IntersectionObserver' in window) {
     window.aiScrollAnimations = new AIScrollAnimations();
   } else {
     // Fallback for browsers without IntersectionObserver
-    Object.keys({
-      '.ai-fade-in': true,
-      '.ai-slide-in-left': true,
-      '.ai-slide-in-right': true,
-      '.ai-scale-in': true
-    }).forEach(selector => {
+    [...AIScrollAnimations.classSelectors, '[data-ai-animate]'].forEach(selector => {
       document.querySelectorAll(selector).forEach(element => {
         element.classList.add('visible');
       });
     });
   }
   
+  // Scroll-linked timelines don't depend on IntersectionObserver
+  window.aiScrollTimeline = new AIScrollTimeline();
+  
   // Initialize UI components
   initAIComponents();
   
@@ -1150,4 +3627,5 @@ document.addEventListener('DOMContentLoaded', () => {
       localStorage.setItem('darkMode', isDarkMode);
     });
   }
-}
\ No newline at end of file
+}
+});